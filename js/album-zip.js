@@ -0,0 +1,544 @@
+/*
+  ZIP download of album originals, built in the browser (loaded on demand by js/travel-gallery.js)
+  - createZip(entries, { strip, maxBytes, signal, onProgress }) fetches each { name, url, date } in
+    turn, streaming the response through CRC-32 into Blob parts, and returns the archive as a Blob
+  - Entries are stored, not deflated: photos and videos are compressed already
+  - The whole archive is one Blob until it is saved: Chrome pages large Blobs out to disk, other
+    browsers may hold them in memory, so callers pass a `maxBytes` well below the 4 GB ZIP limit
+  - `strip` removes location and camera data while streaming (stripMetadata(bytes, name) does the
+    same for bytes in memory): EXIF blocks (JPEG, HEIC, PNG, WebP) keep only the orientation,
+    XMP/IPTC/comments are dropped or blanked, QuickTime/MP4 location tags are blanked; pixels and
+    frames are untouched. Only the metadata regions (JPEG header segments, MOV/MP4 `moov`, HEIC
+    `meta` and its Exif/XMP items) are held in memory; WebP and GIF files are read whole
+*/
+(function () {
+  const MAX_ZIP_BYTES = 0xffffffff; // no ZIP64
+  const BLOB_PART_BYTES = 4 * 1024 * 1024;
+  const UTF8_NAMES = 0x0800; // general purpose flag: names are UTF-8
+  const ORIENTATION = 0x0112;
+  // TIFF tags whose value is the offset of another IFD (Exif, GPS, Interoperability)
+  const SUB_IFDS = [0x8769, 0x8825, 0xa005];
+  const TYPE_SIZES = [0, 1, 1, 2, 4, 8, 1, 1, 2, 4, 8, 4, 8]; // bytes per value by TIFF type
+  const XMP_START = '<x:xmpmeta';
+  const XMP_END = '</x:xmpmeta>';
+
+  const CRC_TABLE = Array.from({ length: 256 }, (_, n) => {
+    let c = n;
+    for (let k = 0; k < 8; k++) c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+    return c >>> 0;
+  });
+
+  // Running CRC-32: pass the previous value (0 to start) and the next chunk
+  function crc32(crc, bytes) {
+    let c = ~crc;
+    for (let i = 0; i < bytes.length; i++) c = CRC_TABLE[(c ^ bytes[i]) & 0xff] ^ (c >>> 8);
+    return ~c >>> 0;
+  }
+
+  function ascii(bytes, start, length) {
+    let text = '';
+    for (let i = start; i < start + length && i < bytes.length; i++) text += String.fromCharCode(bytes[i]);
+    return text;
+  }
+
+  function indexOf(bytes, text, from = 0) {
+    const first = text.charCodeAt(0);
+    outer: for (let i = bytes.indexOf(first, from); i !== -1 && i <= bytes.length - text.length; i = bytes.indexOf(first, i + 1)) {
+      for (let j = 1; j < text.length; j++) if (bytes[i + j] !== text.charCodeAt(j)) continue outer;
+      return i;
+    }
+    return -1;
+  }
+
+  // --- Metadata ---
+
+  // Rewrites a TIFF/EXIF block in place: IFD0 keeps only its Orientation entry, and every
+  // value, sub-IFD (Exif, GPS, Interop) and thumbnail it pointed to is zeroed. Offsets and
+  // length stay the same, so this is safe inside any container.
+  function scrubTiff(bytes, start) {
+    const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+    const order = ascii(bytes, start, 2);
+    if (order !== 'II' && order !== 'MM') return;
+    const little = order === 'II';
+    const u16 = (at) => view.getUint16(start + at, little);
+    const u32 = (at) => view.getUint32(start + at, little);
+    const inside = (at, length) => at >= 0 && start + at + length <= bytes.length;
+    const zero = (at, length) => { if (inside(at, length)) bytes.fill(0, start + at, start + at + length); };
+    if (u16(2) !== 42) return;
+
+    const seen = new Set();
+    let orientation = null;
+    // Zeroes what an IFD points to, then the IFD itself; returns the IFD0 orientation entry
+    const clear = (ifd, top) => {
+      if (!ifd || seen.has(ifd) || !inside(ifd, 2)) return;
+      seen.add(ifd);
+      const count = u16(ifd);
+      if (!inside(ifd + 2, count * 12 + 4)) return;
+      let thumb = 0;
+      let thumbLength = 0;
+      for (let i = 0; i < count; i++) {
+        const entry = ifd + 2 + i * 12;
+        const tag = u16(entry);
+        const size = (TYPE_SIZES[u16(entry + 2)] || 1) * u32(entry + 4);
+        if (top && tag === ORIENTATION) orientation = bytes.slice(start + entry, start + entry + 12);
+        if (SUB_IFDS.includes(tag)) clear(u32(entry + 8), false);
+        else if (size > 4) zero(u32(entry + 8), size);
+        if (tag === 0x0201) thumb = u32(entry + 8); // JPEGInterchangeFormat
+        if (tag === 0x0202) thumbLength = u32(entry + 8);
+      }
+      if (thumb && thumbLength) zero(thumb, thumbLength);
+      const next = u32(ifd + 2 + count * 12);
+      zero(ifd, count * 12 + 6);
+      clear(next, false); // IFD1: the embedded thumbnail
+    };
+    const ifd0 = u32(4);
+    if (!inside(ifd0, 2)) return;
+    clear(ifd0, true);
+    // IFD0 again, with just the orientation and no next IFD
+    if (orientation) {
+      view.setUint16(start + ifd0, 1, little);
+      bytes.set(orientation, start + ifd0 + 2);
+    }
+  }
+
+  // XMP packets can repeat the GPS position: blank them with spaces (valid XML whitespace)
+  function blankXmp(bytes) {
+    let at = indexOf(bytes, XMP_START);
+    while (at !== -1) {
+      const end = indexOf(bytes, XMP_END, at);
+      if (end === -1) return;
+      bytes.fill(0x20, at, end + XMP_END.length);
+      at = indexOf(bytes, XMP_START, end);
+    }
+  }
+
+  // Scrubs EXIF blocks ("Exif\0\0" and a TIFF header) and XMP packets found anywhere in `bytes`
+  function scrubInPlace(bytes) {
+    for (let at = indexOf(bytes, 'Exif\0\0'); at !== -1; at = indexOf(bytes, 'Exif\0\0', at + 6)) {
+      const order = ascii(bytes, at + 6, 2);
+      if (order === 'II' || order === 'MM') scrubTiff(bytes, at + 6);
+    }
+    blankXmp(bytes);
+  }
+
+  // Pull-style reader over a response body: read() buffers the next n bytes (all of them for
+  // Infinity), pass() hands them on chunk by chunk, skip() drops them
+  function byteInput(reader, onData) {
+    const queue = [];
+    let queued = 0;
+    let ended = false;
+    let position = 0;
+    const fill = async (n) => {
+      while (queued < n && !ended) {
+        const { done, value } = await reader.read();
+        if (done) ended = true;
+        else if (value.length) {
+          queue.push(value);
+          queued += value.length;
+          onData(value.length);
+        }
+      }
+    };
+    // Removes up to n bytes from the front of the queue, without copying
+    const take = (n) => {
+      const out = [];
+      while (n > 0 && queue.length) {
+        const chunk = queue[0];
+        const part = chunk.length <= n ? queue.shift() : chunk.subarray(0, n);
+        if (part !== chunk) queue[0] = chunk.subarray(n);
+        out.push(part);
+        n -= part.length;
+        queued -= part.length;
+        position += part.length;
+      }
+      return out;
+    };
+    const forward = async (n, sink) => {
+      while (n > 0) {
+        if (!queued) await fill(1);
+        if (!queued) return;
+        take(n).forEach((part) => {
+          sink(part);
+          n -= part.length;
+        });
+      }
+    };
+    return {
+      get position() { return position; },
+      async peek(n) {
+        await fill(n);
+        const bytes = joinParts(take(n));
+        queue.unshift(bytes);
+        queued += bytes.length;
+        position -= bytes.length;
+        return bytes;
+      },
+      async read(n) {
+        await fill(n);
+        return joinParts(take(n));
+      },
+      pass: forward,
+      skip: (n) => forward(n, () => {})
+    };
+  }
+
+  // JPEG: only the segments before the image data are held and rewritten; EXIF keeps the
+  // orientation, XMP (APP1), IPTC (APP13) and comments are dropped, the scan streams through
+  async function stripJpeg(input, emit) {
+    emit(await input.read(2));
+    for (;;) {
+      const head = await input.peek(4);
+      if (head.length < 4 || head[0] !== 0xff || head[1] === 0xda || head[1] === 0xd9) break;
+      const marker = head[1];
+      const length = 2 + ((head[2] << 8) | head[3]);
+      if (marker === 0xe1 && ascii(await input.peek(10), 4, 6) === 'Exif\0\0') {
+        const segment = await input.read(length);
+        scrubTiff(segment, 10);
+        emit(segment);
+      } else if (marker === 0xe1 || marker === 0xed || marker === 0xfe) {
+        await input.skip(length);
+      } else {
+        await input.pass(length, emit);
+      }
+    }
+    await input.pass(Infinity, emit);
+  }
+
+  // PNG: drop the eXIf and text chunks (whole chunks, so the other CRCs stay valid)
+  async function stripPng(input, emit) {
+    const drop = ['eXIf', 'tEXt', 'iTXt', 'zTXt'];
+    await input.pass(8, emit);
+    for (;;) {
+      const head = await input.peek(8);
+      if (head.length < 8) break;
+      const length = 12 + new DataView(head.buffer, head.byteOffset).getUint32(0);
+      if (drop.includes(ascii(head, 4, 4))) await input.skip(length);
+      else await input.pass(length, emit);
+    }
+    await input.pass(Infinity, emit);
+  }
+
+  // WebP: drop the EXIF and XMP chunks and clear their VP8X flags. They follow the image data
+  // and the RIFF size up front changes, so the file is read whole (WebP originals are small)
+  async function stripWebp(input, emit) {
+    const bytes = await input.read(Infinity);
+    const parts = [bytes.subarray(0, 12)];
+    let i = 12;
+    while (i + 8 <= bytes.length) {
+      const type = ascii(bytes, i, 4);
+      const size = bytes[i + 4] | (bytes[i + 5] << 8) | (bytes[i + 6] << 16) | (bytes[i + 7] << 24);
+      const end = i + 8 + size + (size & 1);
+      if (type !== 'EXIF' && type !== 'XMP ') parts.push(bytes.subarray(i, end));
+      i = end;
+    }
+    const out = joinParts(parts);
+    new DataView(out.buffer, out.byteOffset).setUint32(4, out.length - 8, true);
+    if (ascii(out, 12, 4) === 'VP8X') out[20] &= ~0x0c;
+    emit(out);
+  }
+
+  // QuickTime/MP4 `moov`/`udta` box: ©xyz user data becomes a `free` box; keyed location items are zeroed
+  function stripMovieBox(bytes) {
+    const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+    const containers = ['moov', 'trak', 'udta', 'meta', 'ilst'];
+    let keys = [];
+    const walk = (start, end) => {
+      let i = start;
+      while (i + 8 <= end) {
+        let size = view.getUint32(i);
+        const type = ascii(bytes, i + 4, 4);
+        let header = 8;
+        if (size === 1) { size = Number(view.getBigUint64(i + 8)); header = 16; }
+        if (size === 0) size = end - i;
+        if (size < header) return;
+        const boxEnd = Math.min(i + size, end);
+        if (type === '\xa9xyz') {
+          bytes.set([0x66, 0x72, 0x65, 0x65], i + 4); // 'free'
+          bytes.fill(0, i + header, boxEnd);
+        } else if (type === 'keys') {
+          keys = [];
+          for (let k = i + header + 8; k + 8 <= boxEnd;) {
+            const keySize = view.getUint32(k);
+            if (keySize < 8) break;
+            keys.push(ascii(bytes, k + 8, keySize - 8));
+            k += keySize;
+          }
+        } else if (containers.includes(type)) {
+          // MP4 `meta` is a full box (version/flags), QuickTime `meta` is not
+          const skip = type === 'meta' && ascii(bytes, i + header + 4, 4) !== 'hdlr' ? 4 : 0;
+          if (type === 'ilst') walkItems(i + header, boxEnd);
+          else walk(i + header + skip, boxEnd);
+        }
+        i += size;
+      }
+    };
+    // ilst items are numbered by their 1-based index into `keys` (QuickTime) or typed (iTunes style)
+    const walkItems = (start, end) => {
+      for (let i = start; i + 8 <= end;) {
+        const size = view.getUint32(i);
+        if (size < 8) return;
+        const key = ascii(bytes, i + 4, 4) === '\xa9xyz' ? 'com.apple.quicktime.location' : keys[view.getUint32(i + 4) - 1] || '';
+        if (key.startsWith('com.apple.quicktime.location')) bytes.fill(0, i + 8, Math.min(i + size, end));
+        i += size;
+      }
+    };
+    walk(0, bytes.length);
+  }
+
+  // HEIF top-level `meta` box: file ranges of the Exif and XMP items, from `iinf` and `iloc`
+  function heifMetadataRanges(bytes) {
+    const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+    const uint = (at, size) => (size === 8 ? Number(view.getBigUint64(at)) : size === 4 ? view.getUint32(at) : size === 2 ? view.getUint16(at) : 0);
+    const children = (start, end) => {
+      const boxes = {};
+      for (let i = start; i + 8 <= end;) {
+        const size = view.getUint32(i);
+        if (size < 8) break;
+        boxes[ascii(bytes, i + 4, 4)] = { start: i + 8, end: Math.min(i + size, end) };
+        i += size;
+      }
+      return boxes;
+    };
+    const header = view.getUint32(0) === 1 ? 16 : 8;
+    const boxes = children(header + 4, bytes.length); // meta is a full box
+    if (!boxes.iinf || !boxes.iloc) return [];
+
+    const wanted = new Set();
+    const iinf = boxes.iinf;
+    const entries = bytes[iinf.start] === 0 ? 2 : 4;
+    for (let i = iinf.start + 4 + entries; i + 8 <= iinf.end;) {
+      const size = view.getUint32(i);
+      if (size < 8) break;
+      const version = bytes[i + 8];
+      if (ascii(bytes, i + 4, 4) === 'infe' && version >= 2) {
+        const idSize = version === 2 ? 2 : 4;
+        const id = uint(i + 12, idSize);
+        const type = ascii(bytes, i + 14 + idSize, 4);
+        const rest = ascii(bytes, i + 18 + idSize, size - 18 - idSize);
+        if (type === 'Exif' || (type === 'mime' && rest.includes('application/rdf+xml'))) wanted.add(id);
+      }
+      i += size;
+    }
+
+    const ranges = [];
+    let at = boxes.iloc.start;
+    const version = bytes[at];
+    const offsetSize = bytes[at + 4] >> 4;
+    const lengthSize = bytes[at + 4] & 15;
+    const baseSize = bytes[at + 5] >> 4;
+    const indexSize = version >= 1 ? bytes[at + 5] & 15 : 0;
+    const countSize = version < 2 ? 2 : 4;
+    const count = uint(at + 6, countSize);
+    at += 6 + countSize;
+    for (let n = 0; n < count && at < boxes.iloc.end; n++) {
+      const id = uint(at, countSize);
+      at += countSize;
+      const method = version >= 1 ? view.getUint16(at) & 15 : 0;
+      if (version >= 1) at += 2;
+      at += 2; // data reference index
+      const base = uint(at, baseSize);
+      at += baseSize;
+      const extents = view.getUint16(at);
+      at += 2;
+      for (let e = 0; e < extents; e++) {
+        at += indexSize;
+        const offset = uint(at, offsetSize);
+        const length = uint(at + offsetSize, lengthSize);
+        at += offsetSize + lengthSize;
+        // Items stored in `idat` (method 1) are inside this box and scrubbed with it
+        if (wanted.has(id) && method === 0 && length) ranges.push({ start: base + offset, end: base + offset + length });
+      }
+    }
+    return ranges.sort((a, b) => a.start - b.start);
+  }
+
+  // HEIC, MOV and MP4: top-level metadata boxes (`moov`, `meta`, `udta`, `uuid`) are held and
+  // scrubbed in place; `mdat` streams through except for the Exif/XMP items `meta` points into
+  async function stripIsoMedia(input, emit, name) {
+    let ranges = [];
+    // Streams up to `end`, holding and scrubbing the metadata ranges on the way
+    const passTo = async (end) => {
+      while (input.position < end) {
+        const range = ranges.find(r => r.end > input.position);
+        if (!range || range.start >= end) return input.pass(end - input.position, emit);
+        await input.pass(range.start - input.position, emit);
+        const bytes = await input.read(range.end - range.start);
+        scrubInPlace(bytes);
+        emit(bytes);
+      }
+    };
+    for (;;) {
+      const head = await input.peek(16);
+      if (head.length < 8) break;
+      const view = new DataView(head.buffer, head.byteOffset, head.byteLength);
+      let size = view.getUint32(0);
+      const type = ascii(head, 4, 4);
+      if (size === 1 && head.length === 16) size = Number(view.getBigUint64(8));
+      if (size < 8) break; // 0: runs to the end of the file
+      if (!['moov', 'meta', 'udta', 'uuid'].includes(type)) {
+        await passTo(input.position + size);
+        continue;
+      }
+      const start = input.position;
+      const box = await input.read(size);
+      stripMovieBox(box);
+      scrubInPlace(box);
+      if (type === 'meta') {
+        // Items inside the box itself were just scrubbed; ones before it were sent already
+        ranges = heifMetadataRanges(box).filter(r => r.end > input.position);
+        if (ranges.some(r => r.start < start)) throw new Error(`The metadata of ${name} comes before its index`);
+      }
+      emit(box);
+    }
+    await passTo(Infinity);
+  }
+
+  // GIF and other small formats: read whole and scrubbed wherever EXIF or XMP turns up
+  async function stripOther(input, emit) {
+    const bytes = await input.read(Infinity);
+    scrubInPlace(bytes);
+    emit(bytes);
+  }
+
+  // Picks the stripper by the first bytes; WebM (EBML) has no EXIF or XMP and streams as is
+  async function stripStream(input, emit, name) {
+    const head = await input.peek(12);
+    if (head[0] === 0xff && head[1] === 0xd8) return stripJpeg(input, emit);
+    if (ascii(head, 1, 3) === 'PNG') return stripPng(input, emit);
+    if (ascii(head, 0, 4) === 'RIFF' && ascii(head, 8, 4) === 'WEBP') return stripWebp(input, emit);
+    if (ascii(head, 4, 4) === 'ftyp') return stripIsoMedia(input, emit, name);
+    if (head[0] === 0x1a && head[1] === 0x45 && head[2] === 0xdf && head[3] === 0xa3) return input.pass(Infinity, emit);
+    return stripOther(input, emit);
+  }
+
+  function joinParts(parts) {
+    if (parts.length === 1) return parts[0];
+    const out = new Uint8Array(parts.reduce((sum, p) => sum + p.length, 0));
+    let offset = 0;
+    parts.forEach((p) => { out.set(p, offset); offset += p.length; });
+    return out;
+  }
+
+  // The same stripping for a file already in memory; resolves to the stripped copy
+  async function stripMetadata(bytes, name) {
+    const chunks = [bytes];
+    const reader = { read: async () => (chunks.length ? { done: false, value: chunks.shift() } : { done: true }) };
+    const out = [];
+    await stripStream(byteInput(reader, () => {}), (part) => out.push(part), name);
+    return joinParts(out);
+  }
+
+  // --- ZIP ---
+
+  // MS-DOS date and time from the wall-clock "YYYY-MM-DDTHH:MM:SS" capture time, else now
+  function dosDateTime(taken) {
+    const m = /^(\d{4})-(\d{2})-(\d{2})T(\d{2}):(\d{2}):(\d{2})/.exec(taken || '');
+    const d = m ? m.slice(1).map(Number) : (() => {
+      const now = new Date();
+      return [now.getFullYear(), now.getMonth() + 1, now.getDate(), now.getHours(), now.getMinutes(), now.getSeconds()];
+    })();
+    return {
+      date: ((Math.max(1980, d[0]) - 1980) << 9) | (d[1] << 5) | d[2],
+      time: (d[3] << 11) | (d[4] << 5) | (d[5] >> 1)
+    };
+  }
+
+  function header(size, write) {
+    const bytes = new Uint8Array(size);
+    write(new DataView(bytes.buffer));
+    return bytes;
+  }
+
+  // Streams a response into Blobs of a few MB each, which the browser may keep on disk;
+  // with `strip` only the metadata regions are held in memory (see stripStream)
+  async function readEntry(res, strip, name, onChunk) {
+    const reader = res.body.getReader();
+    const blobs = [];
+    let pending = [];
+    let pendingBytes = 0;
+    let crc = 0;
+    let size = 0;
+    let received = 0;
+    const emit = (bytes) => {
+      pending.push(bytes);
+      pendingBytes += bytes.length;
+      crc = crc32(crc, bytes);
+      size += bytes.length;
+      if (pendingBytes < BLOB_PART_BYTES) return;
+      blobs.push(new Blob(pending));
+      pending = [];
+      pendingBytes = 0;
+    };
+    const input = byteInput(reader, (length) => {
+      received += length;
+      onChunk(received);
+    });
+    if (strip) await stripStream(input, emit, name);
+    else await input.pass(Infinity, emit);
+    return { blob: new Blob([...blobs, ...pending]), crc, size };
+  }
+
+  async function createZip(entries, { strip = false, maxBytes = MAX_ZIP_BYTES, signal, onProgress = () => {} } = {}) {
+    const encoder = new TextEncoder();
+    const parts = [];
+    const central = [];
+    let offset = 0;
+    for (let index = 0; index < entries.length; index++) {
+      const entry = entries[index];
+      const res = await fetch(entry.url, { signal });
+      if (!res.ok) throw new Error(`Fetch error ${res.status} for ${entry.name}`);
+      const expected = Number(res.headers.get('Content-Length')) || 0;
+      const tooLarge = new RangeError(`The ZIP would be larger than ${maxBytes} bytes: select fewer items`);
+      if (offset + expected > maxBytes) {
+        res.body.cancel();
+        throw tooLarge;
+      }
+      const { blob, crc, size } = await readEntry(res, strip, entry.name, (received) => {
+        onProgress({ index, count: entries.length, name: entry.name, fraction: expected ? Math.min(1, received / expected) : 0 });
+      });
+      const name = encoder.encode(entry.name);
+      const { date, time } = dosDateTime(entry.date);
+      if (offset + 30 + name.length + size + 46 * (central.length + 1) > maxBytes) throw tooLarge;
+      parts.push(header(30 + name.length, (v) => {
+        v.setUint32(0, 0x04034b50, true); // local file header
+        v.setUint16(4, 20, true); // version needed: 2.0
+        v.setUint16(6, UTF8_NAMES, true);
+        v.setUint16(8, 0, true); // stored
+        v.setUint16(10, time, true);
+        v.setUint16(12, date, true);
+        v.setUint32(14, crc, true);
+        v.setUint32(18, size, true);
+        v.setUint32(22, size, true);
+        v.setUint16(26, name.length, true);
+        new Uint8Array(v.buffer).set(name, 30);
+      }), blob);
+      central.push(header(46 + name.length, (v) => {
+        v.setUint32(0, 0x02014b50, true); // central directory header
+        v.setUint16(4, 20, true);
+        v.setUint16(6, 20, true);
+        v.setUint16(8, UTF8_NAMES, true);
+        v.setUint16(12, time, true);
+        v.setUint16(14, date, true);
+        v.setUint32(16, crc, true);
+        v.setUint32(20, size, true);
+        v.setUint32(24, size, true);
+        v.setUint16(28, name.length, true);
+        v.setUint32(42, offset, true);
+        new Uint8Array(v.buffer).set(name, 46);
+      }));
+      offset += 30 + name.length + size;
+      onProgress({ index: index + 1, count: entries.length, name: entry.name, fraction: 0 });
+    }
+    const centralSize = central.reduce((sum, c) => sum + c.length, 0);
+    const end = header(22, (v) => {
+      v.setUint32(0, 0x06054b50, true); // end of central directory
+      v.setUint16(8, central.length, true);
+      v.setUint16(10, central.length, true);
+      v.setUint32(12, centralSize, true);
+      v.setUint32(16, offset, true);
+    });
+    return new Blob([...parts, ...central, end], { type: 'application/zip' });
+  }
+
+  window.AlbumZip = { createZip, stripMetadata };
+})();
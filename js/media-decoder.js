@@ -0,0 +1,157 @@
+/*
+  Media decoding for the travel gallery, off the main thread when the browser allows
+  - decode(url, { heic, maxDim, signal }) downloads an image and returns a downscaled WebP/PNG blob
+  - HEIC goes through the vendored libheif (js/vendor/libheif-bundle.js); everything else through createImageBitmap
+  - On the page this file exposes window.MediaDecoder and starts itself again as a Web Worker
+    that draws on an OffscreenCanvas; without Worker/OffscreenCanvas it decodes on the page
+*/
+(function (scope) {
+  const HEIF_LIB = '/js/vendor/libheif-bundle.js';
+  const OUTPUT = { type: 'image/webp', quality: 0.85 }; // browsers without WebP encoding give PNG
+  const inWorker = typeof WorkerGlobalScope !== 'undefined' && scope instanceof WorkerGlobalScope;
+
+  let heifPromise = null;
+  function loadHeif() {
+    if (!heifPromise) {
+      heifPromise = new Promise((resolve, reject) => {
+        if (inWorker) {
+          scope.importScripts(HEIF_LIB);
+          return resolve(scope.libheif());
+        }
+        const s = document.createElement('script');
+        s.src = HEIF_LIB;
+        s.onload = () => resolve(scope.libheif());
+        s.onerror = () => reject(new Error(`Could not load ${HEIF_LIB}`));
+        document.head.appendChild(s);
+      });
+      heifPromise.catch(() => { heifPromise = null; });
+    }
+    return heifPromise;
+  }
+
+  async function decodeHeic(buffer) {
+    const lib = await loadHeif();
+    const images = new lib.HeifDecoder().decode(new Uint8Array(buffer));
+    try {
+      const image = images.find(i => i.is_primary()) || images[0];
+      if (!image) throw new Error('Not a HEIF image');
+      const width = image.get_width();
+      const height = image.get_height();
+      const pixels = await new Promise((resolve, reject) => {
+        image.display({ data: new Uint8ClampedArray(width * height * 4), width, height }, (data) => {
+          if (data) resolve(data);
+          else reject(new Error('HEIF decoding failed'));
+        });
+      });
+      return createImageBitmap(new ImageData(pixels.data, width, height));
+    } finally {
+      images.forEach(i => i.free());
+    }
+  }
+
+  function createCanvas(width, height) {
+    if (typeof OffscreenCanvas === 'function') return new OffscreenCanvas(width, height);
+    const canvas = document.createElement('canvas');
+    canvas.width = width;
+    canvas.height = height;
+    return canvas;
+  }
+
+  function canvasToBlob(canvas) {
+    if (canvas.convertToBlob) return canvas.convertToBlob(OUTPUT);
+    return new Promise((resolve, reject) => {
+      canvas.toBlob((b) => (b ? resolve(b) : reject(new Error('Canvas export failed'))), OUTPUT.type, OUTPUT.quality);
+    });
+  }
+
+  async function decodeHere(url, { heic = false, maxDim = 1600, signal } = {}) {
+    const res = await fetch(url, { signal });
+    if (!res.ok) throw new Error(`Fetch error ${res.status}`);
+    const buffer = await res.arrayBuffer();
+    if (signal && signal.aborted) throw new DOMException('Decoding cancelled', 'AbortError');
+    const bitmap = heic ? await decodeHeic(buffer) : await createImageBitmap(new Blob([buffer]));
+    const scale = Math.min(1, maxDim / Math.max(bitmap.width, bitmap.height));
+    const width = Math.max(1, Math.round(bitmap.width * scale));
+    const height = Math.max(1, Math.round(bitmap.height * scale));
+    const canvas = createCanvas(width, height);
+    canvas.getContext('2d').drawImage(bitmap, 0, 0, width, height);
+    bitmap.close();
+    return canvasToBlob(canvas);
+  }
+
+  // --- Worker side: { id, url, heic, maxDim } in, { id, blob } or { id, error } out; { id, cancel } aborts ---
+  if (inWorker) {
+    const jobs = new Map(); // id -> AbortController
+    scope.onmessage = ({ data }) => {
+      if (data.cancel) {
+        if (jobs.has(data.id)) jobs.get(data.id).abort();
+        return;
+      }
+      const controller = new AbortController();
+      jobs.set(data.id, controller);
+      decodeHere(data.url, { heic: data.heic, maxDim: data.maxDim, signal: controller.signal })
+        .then(
+          (blob) => scope.postMessage({ id: data.id, blob }),
+          (err) => scope.postMessage({ id: data.id, error: err.message, aborted: err.name === 'AbortError' })
+        )
+        .finally(() => jobs.delete(data.id));
+    };
+    return;
+  }
+
+  // --- Page side ---
+  const workerUrl = document.currentScript && document.currentScript.src;
+  const pending = new Map(); // id -> { resolve, reject }
+  let worker = null; // null until first use, false when unavailable
+  let nextId = 0;
+
+  function getWorker() {
+    if (worker !== null) return worker;
+    worker = false;
+    if (!workerUrl || typeof Worker !== 'function' || typeof OffscreenCanvas !== 'function') return worker;
+    try {
+      worker = new Worker(workerUrl);
+    } catch (err) {
+      return worker;
+    }
+    worker.onmessage = ({ data }) => {
+      const job = pending.get(data.id);
+      if (!job) return;
+      pending.delete(data.id);
+      if (data.blob) job.resolve(data.blob);
+      else job.reject(data.aborted ? new DOMException(data.error, 'AbortError') : new Error(data.error));
+    };
+    // A worker that fails to start (CSP, old browser) hands its jobs back to the page
+    worker.onerror = () => {
+      worker.terminate();
+      worker = false;
+      pending.forEach(job => job.retry());
+      pending.clear();
+    };
+    return worker;
+  }
+
+  function decode(url, options = {}) {
+    const target = getWorker();
+    if (!target) return decodeHere(url, options);
+    const { signal, heic = false, maxDim = 1600 } = options;
+    if (signal && signal.aborted) return Promise.reject(new DOMException('Decoding cancelled', 'AbortError'));
+    const id = ++nextId;
+    // Workers resolve relative URLs against their own script: send an absolute one
+    const absolute = new URL(url, location.href).href;
+    return new Promise((resolve, reject) => {
+      pending.set(id, { resolve, reject, retry: () => decodeHere(url, options).then(resolve, reject) });
+      target.postMessage({ id, url: absolute, heic, maxDim });
+      if (signal) {
+        signal.addEventListener('abort', () => {
+          if (!pending.has(id)) return;
+          pending.delete(id);
+          if (worker) worker.postMessage({ id, cancel: true });
+          reject(new DOMException('Decoding cancelled', 'AbortError'));
+        }, { once: true });
+      }
+    });
+  }
+
+  scope.MediaDecoder = { decode };
+})(self);
@@ -0,0 +1,490 @@
+/*
+  Publication list for research.html, generated from data/publications.bib
+  - Small BibTeX parser (@string macros, # concatenation, braces/quotes, @comment/@preamble skipped)
+  - Groups entries by type (journal, conference, other) and year, newest first
+  - Formats every entry the same way (APA 7) and highlights the site owner's name
+  - Conference dates come from biblatex's eventdate ("2025-06-08/2025-06-11" -> "8–11 Jun 2025")
+  - "Cite" copies the entry as BibTeX (verbatim from the file), RIS or APA text
+  - Filter box matches keywords, authors, venues and years ("2024" or "2022-2024")
+*/
+(function () {
+  const SOURCE = '/data/publications.bib';
+  const OWNER = { family: 'kafle', initial: 'l' };
+  const MONTHS = { jan: '1', feb: '2', mar: '3', apr: '4', may: '5', jun: '6', jul: '7', aug: '8', sep: '9', oct: '10', nov: '11', dec: '12' };
+  const GROUPS = [
+    { label: 'Journal articles', types: ['article'] },
+    { label: 'Conference papers', types: ['inproceedings', 'conference', 'proceedings'] },
+    { label: 'Other', types: null }
+  ];
+  const RIS_TYPES = { article: 'JOUR', inproceedings: 'CPAPER', conference: 'CPAPER', proceedings: 'CONF', book: 'BOOK', phdthesis: 'THES', mastersthesis: 'THES', techreport: 'RPRT' };
+  const FORMATS = { bibtex: 'BibTeX', ris: 'RIS', apa: 'APA' };
+
+  function escapeHtml(value) {
+    return String(value).replace(/&/g, '&amp;').replace(/"/g, '&quot;').replace(/</g, '&lt;');
+  }
+
+  // --- BibTeX parsing ---
+  function parseBibtex(source) {
+    const entries = [];
+    const macros = { ...MONTHS };
+    const NAME = /[^\s,#{}()"=]+/y;
+    let pos = 0;
+
+    const fail = (message) => {
+      throw new SyntaxError(`BibTeX: ${message} on line ${source.slice(0, pos).split('\n').length}`);
+    };
+    const skipSpace = () => {
+      while (pos < source.length && /\s/.test(source[pos])) pos++;
+    };
+    const expect = (char) => {
+      skipSpace();
+      if (source[pos] !== char) fail(`expected "${char}"`);
+      pos++;
+    };
+    const readName = () => {
+      NAME.lastIndex = pos;
+      const m = NAME.exec(source);
+      if (!m) fail('expected a name');
+      pos = NAME.lastIndex;
+      return m[0];
+    };
+    // {...} with nested braces; the delimiters are dropped, inner braces kept for case protection
+    const readBraced = () => {
+      const start = pos;
+      let depth = 0;
+      for (; pos < source.length; pos++) {
+        if (source[pos] === '\\') pos++;
+        else if (source[pos] === '{') depth++;
+        else if (source[pos] === '}' && --depth === 0) return source.slice(start + 1, pos++);
+      }
+      return fail('unclosed brace');
+    };
+    const readQuoted = () => {
+      const start = ++pos;
+      let depth = 0;
+      for (; pos < source.length; pos++) {
+        const c = source[pos];
+        if (c === '\\') pos++;
+        else if (c === '{') depth++;
+        else if (c === '}') depth--;
+        else if (c === '"' && depth === 0) return source.slice(start, pos++);
+      }
+      return fail('unclosed quote');
+    };
+    // Pieces joined with #: {text}, "text", numbers and @string macros
+    const readValue = () => {
+      let value = '';
+      for (;;) {
+        skipSpace();
+        if (source[pos] === '{') value += readBraced();
+        else if (source[pos] === '"') value += readQuoted();
+        else {
+          const word = readName();
+          const macro = word.toLowerCase();
+          value += macro in macros ? macros[macro] : word;
+        }
+        skipSpace();
+        if (source[pos] !== '#') return value;
+        pos++;
+      }
+    };
+
+    while ((pos = source.indexOf('@', pos)) !== -1) {
+      const start = pos++;
+      NAME.lastIndex = pos;
+      const type = (NAME.exec(source) || [''])[0].toLowerCase();
+      pos += type.length;
+      skipSpace();
+      const open = source[pos];
+      if (!type || (open !== '{' && open !== '(')) continue; // a stray @ outside any entry
+      const close = open === '{' ? '}' : ')';
+      if (type === 'comment') {
+        if (open === '{') readBraced();
+        continue;
+      }
+      pos++;
+      if (type === 'preamble') {
+        readValue();
+        expect(close);
+        continue;
+      }
+      if (type === 'string') {
+        skipSpace();
+        const name = readName().toLowerCase();
+        expect('=');
+        macros[name] = readValue();
+        expect(close);
+        continue;
+      }
+
+      skipSpace();
+      const key = readName();
+      const fields = {};
+      for (;;) {
+        skipSpace();
+        if (source[pos] === ',') {
+          pos++;
+          skipSpace();
+        }
+        if (source[pos] === close) {
+          pos++;
+          break;
+        }
+        const name = readName().toLowerCase();
+        expect('=');
+        fields[name] = readValue();
+        skipSpace();
+        if (source[pos] !== ',' && source[pos] !== close) fail(`expected "," or "${close}" after ${name}`);
+      }
+      entries.push({ type, key, fields, bibtex: source.slice(start, pos) });
+    }
+    return entries;
+  }
+
+  // --- LaTeX to plain text ---
+  const ACCENTS = { "'": '\u0301', '`': '\u0300', '^': '\u0302', '"': '\u0308', '~': '\u0303', '=': '\u0304', '.': '\u0307', c: '\u0327', v: '\u030c', u: '\u0306', H: '\u030b' };
+  const SYMBOLS = { ss: 'ß', o: 'ø', O: 'Ø', aa: 'å', AA: 'Å', ae: 'æ', AE: 'Æ', l: 'ł', L: 'Ł', i: 'ı' };
+
+  function latexToText(value) {
+    return String(value)
+      .replace(/\\([`'^"~=.])\s*(?:\{\s*(\\?[a-zA-Z])\s*\}|(\\?[a-zA-Z]))/g, (m, a, b, c) => (b || c).replace('\\i', 'i') + ACCENTS[a])
+      .replace(/\\([cvuH])(?:\s*\{\s*([a-zA-Z])\s*\}|\s+([a-zA-Z]))/g, (m, a, b, c) => (b || c) + ACCENTS[a])
+      .replace(/\\([&%$_#])/g, '$1')
+      .replace(/\\(ss|aa|AA|ae|AE|[oOlLi])(?![a-zA-Z])\s*/g, (m, s) => SYMBOLS[s])
+      .replace(/\\[a-zA-Z]+\s*/g, '') // \emph{...}, \textit{...}: keep the argument
+      .replace(/---/g, '—')
+      .replace(/--/g, '–')
+      .replace(/~/g, ' ')
+      .replace(/[{}]/g, '')
+      .replace(/\s+/g, ' ')
+      .trim()
+      .normalize('NFC');
+  }
+
+  // Lower-cases everything the author did not protect with braces (BibTeX's {t} style)
+  function sentenceCase(value) {
+    let depth = 0;
+    let out = '';
+    for (let i = 0; i < value.length; i++) {
+      const c = value[i];
+      if (c === '\\') {
+        const m = /^\\([a-zA-Z]+|.)/.exec(value.slice(i));
+        out += m[0];
+        i += m[0].length - 1;
+        continue;
+      }
+      if (c === '{') depth++;
+      else if (c === '}') depth--;
+      const start = /^\s*$/.test(out.replace(/[{}]/g, '')) || /[:?!.]\s+$/.test(out.replace(/[{}]/g, ''));
+      out += depth === 0 && !start ? c.toLowerCase() : c;
+    }
+    return out;
+  }
+
+  // --- Entries ---
+  // Splits at a sticky separator that is not inside braces
+  function splitTopLevel(value, separator) {
+    const parts = [];
+    let depth = 0;
+    let last = 0;
+    for (let i = 0; i < value.length; i++) {
+      if (value[i] === '{') depth++;
+      else if (value[i] === '}') depth--;
+      else if (depth === 0) {
+        separator.lastIndex = i;
+        if (separator.test(value)) {
+          parts.push(value.slice(last, i));
+          last = separator.lastIndex;
+          i = last - 1;
+        }
+      }
+    }
+    parts.push(value.slice(last));
+    return parts.map(p => p.trim()).filter(Boolean);
+  }
+
+  // "von Last, First", "von Last, Jr, First" or "First von Last"; given names become initials
+  function parseName(raw) {
+    const parts = splitTopLevel(raw, /,/y);
+    let family;
+    let given;
+    if (parts.length > 1) {
+      family = parts[0];
+      given = parts[parts.length - 1];
+    } else {
+      // "von" particles (lower-case words before the last one) belong to the family name
+      const words = splitTopLevel(raw, /\s+/y);
+      let split = words.findIndex((w, i) => i > 0 && i < words.length - 1 && /^[a-z]/.test(w));
+      if (split === -1) split = words.length - 1;
+      family = words.slice(split).join(' ');
+      given = words.slice(0, split).join(' ');
+    }
+    family = latexToText(family);
+    const initials = latexToText(given)
+      .replace(/([^\s.-])[^\s.-]*\.?/g, '$1.')
+      .replace(/\.(?=[^\s-])/g, '. ');
+    return { family, initials };
+  }
+
+  function isOwner(author) {
+    return author.family.toLowerCase() === OWNER.family && author.initials.toLowerCase().startsWith(OWNER.initial);
+  }
+
+  function groupOf(type) {
+    return GROUPS.find(g => !g.types || g.types.includes(type));
+  }
+
+  // ISO dates or ranges read like "8–11 Jun 2025"; anything else is shown as written
+  function formatEventDate(value) {
+    const m = /^(\d{4})-(\d{2})-(\d{2})(?:\/(\d{4})-(\d{2})-(\d{2}))?$/.exec(value);
+    if (!m) return value;
+    const month = (n) => Object.keys(MONTHS)[Number(n) - 1].replace(/^./, c => c.toUpperCase());
+    const [, y1, m1, d1, y2 = y1, m2 = m1, d2 = d1] = m;
+    const start = Number(d1);
+    const end = Number(d2);
+    if (y1 !== y2) return `${start} ${month(m1)} ${y1} – ${end} ${month(m2)} ${y2}`;
+    if (m1 !== m2) return `${start} ${month(m1)} – ${end} ${month(m2)} ${y1}`;
+    return start === end ? `${start} ${month(m1)} ${y1}` : `${start}–${end} ${month(m1)} ${y1}`;
+  }
+
+  function toPublication(entry) {
+    const f = entry.fields;
+    const text = (name) => (f[name] ? latexToText(f[name]) : '');
+    const venue = entry.type === 'article' ? f.journal : (f.booktitle || f.howpublished || f.publisher || f.school || f.institution);
+    const doi = text('doi').replace(/^https?:\/\/(dx\.)?doi\.org\//i, '');
+    return {
+      key: entry.key,
+      type: entry.type,
+      group: groupOf(entry.type),
+      bibtex: entry.bibtex,
+      authors: f.author ? splitTopLevel(f.author, /\s+and\s+/iy).map(parseName) : [],
+      title: text('title'),
+      sentenceTitle: f.title ? latexToText(sentenceCase(f.title)) : '',
+      venue: venue ? latexToText(venue) : '',
+      year: text('year'),
+      month: Number(MONTHS[text('month').slice(0, 3).toLowerCase()] || text('month')) || 0,
+      volume: text('volume'),
+      number: text('number'),
+      pages: text('pages'),
+      publisher: text('publisher'),
+      address: text('address'),
+      eventDate: formatEventDate(text('eventdate')),
+      note: text('note'),
+      doi,
+      url: text('url') || (doi ? `https://doi.org/${doi}` : ''),
+      keywords: f.keywords ? latexToText(f.keywords).split(/\s*[,;]\s*/).filter(Boolean) : []
+    };
+  }
+
+  // --- Citation formats ---
+  function apaAuthors(authors, html) {
+    const names = authors.map((a) => {
+      const name = a.initials ? `${a.family}, ${a.initials}` : a.family;
+      return html && isOwner(a) ? `<strong class="pub-owner">${escapeHtml(name)}</strong>` : (html ? escapeHtml(name) : name);
+    });
+    if (names.length < 2) return names.join('');
+    return `${names.slice(0, -1).join(', ')}, & ${names[names.length - 1]}`;
+  }
+
+  // APA 7 reference; html adds the owner highlight, italics and a DOI link
+  function apa(pub, html = false) {
+    const esc = html ? escapeHtml : (s) => s;
+    const em = (s) => (html ? `<em>${escapeHtml(s)}</em>` : s);
+    const end = (s) => (/[.?!]$/.test(s.replace(/<[^>]*>/g, '')) ? s : `${s}.`);
+    const parts = [];
+    if (pub.authors.length) parts.push(end(apaAuthors(pub.authors, html)));
+    parts.push(`(${esc(pub.year || 'n.d.')}).`);
+    if (pub.type === 'article') {
+      parts.push(end(esc(pub.sentenceTitle)));
+      let source = em(pub.venue);
+      if (pub.volume) source += `, ${em(pub.volume)}`;
+      if (pub.number) source += `(${esc(pub.number)})`;
+      if (pub.pages) source += `, ${esc(pub.pages.replace(/-+/g, '–'))}`;
+      if (source) parts.push(`${source}.`);
+    } else {
+      parts.push(end(`${esc(pub.sentenceTitle)}${pub.note ? ` [${esc(pub.note)}]` : ''}`));
+      if (pub.venue) parts.push(end(`${pub.group.types ? 'In ' : ''}${em(pub.venue)}${pub.address ? `, ${esc(pub.address)}` : ''}${pub.eventDate ? `, ${esc(pub.eventDate)}` : ''}`));
+      if (pub.publisher && pub.publisher !== pub.venue) parts.push(end(esc(pub.publisher)));
+    }
+    if (pub.url) {
+      parts.push(html ? `<a href="${escapeHtml(pub.url)}" target="_blank" rel="noopener">${escapeHtml(pub.url)}</a>` : pub.url);
+    }
+    return parts.join(' ');
+  }
+
+  function ris(pub) {
+    const lines = [['TY', RIS_TYPES[pub.type] || 'GEN']];
+    pub.authors.forEach(a => lines.push(['AU', a.initials ? `${a.family}, ${a.initials}` : a.family]));
+    lines.push(['TI', pub.title]);
+    lines.push([pub.type === 'article' ? 'JO' : 'T2', pub.venue]);
+    lines.push(['PY', pub.year], ['VL', pub.volume], ['IS', pub.number]);
+    const [first, last] = pub.pages.split(/\s*[-–]+\s*/);
+    lines.push(['SP', first], ['EP', last]);
+    lines.push(['PB', pub.publisher], ['CY', pub.address], ['DO', pub.doi], ['UR', pub.url], ['N1', pub.note]);
+    pub.keywords.forEach(k => lines.push(['KW', k]));
+    lines.push(['ER', '']);
+    return lines.filter(([tag, value]) => value || tag === 'ER').map(([tag, value]) => `${tag}  - ${value}`).join('\n');
+  }
+
+  function citation(pub, format) {
+    if (format === 'bibtex') return pub.bibtex;
+    if (format === 'ris') return ris(pub);
+    return apa(pub);
+  }
+
+  function copyText(text) {
+    if (navigator.clipboard && window.isSecureContext) return navigator.clipboard.writeText(text);
+    // Plain http:// previews have no Clipboard API
+    return new Promise((resolve, reject) => {
+      const area = document.createElement('textarea');
+      area.value = text;
+      area.setAttribute('readonly', '');
+      area.style.position = 'fixed';
+      area.style.opacity = '0';
+      document.body.appendChild(area);
+      area.select();
+      const ok = document.execCommand && document.execCommand('copy');
+      area.remove();
+      if (ok) resolve();
+      else reject(new Error('Copy failed'));
+    });
+  }
+
+  // --- Filtering ---
+  const fold = (s) => s.normalize('NFD').replace(/[\u0300-\u036f]/g, '').toLowerCase();
+
+  function searchText(pub) {
+    return fold([
+      pub.title, pub.venue, pub.publisher, pub.address, pub.eventDate, pub.note, pub.doi, pub.group.label,
+      ...pub.authors.map(a => `${a.family} ${a.initials}`), ...pub.keywords
+    ].join(' '));
+  }
+
+  // Every word must match; "2024" and "2022-2024" match the year only
+  function matches(pub, query) {
+    return fold(query).split(/\s+/).filter(Boolean).every((word) => {
+      const range = /^(\d{4})[-–](\d{4})$/.exec(word);
+      if (range) return pub.year >= range[1] && pub.year <= range[2];
+      if (/^\d{4}$/.test(word)) return pub.year === word;
+      return pub.search.includes(word);
+    });
+  }
+
+  // --- Rendering ---
+  function itemHtml(pub) {
+    return `
+      <li class="pub-item" data-key="${escapeHtml(pub.key)}">
+        <span class="pub-citation">${apa(pub, true)}</span>
+        <div class="pub-actions">
+          <button type="button" class="pub-cite-toggle" aria-expanded="false">Cite</button>
+          <span class="pub-cite-menu" role="group" aria-label="Copy citation as" hidden>
+            ${Object.entries(FORMATS).map(([format, label]) => `<button type="button" data-format="${format}">${label}</button>`).join('')}
+          </span>
+          <span class="pub-cite-feedback link-muted" aria-live="polite"></span>
+        </div>
+      </li>
+    `;
+  }
+
+  function resultsHtml(pubs) {
+    return GROUPS.map((group) => {
+      const inGroup = pubs.filter(p => p.group === group);
+      if (inGroup.length === 0) return '';
+      const years = [...new Set(inGroup.map(p => p.year))].sort((a, b) => b.localeCompare(a));
+      return `
+        <section class="pub-group">
+          <h3>${group.label}</h3>
+          ${years.map(year => `
+            <div class="pub-year">
+              <h4>${escapeHtml(year || 'Undated')}</h4>
+              <ul class="pub-list">${inGroup.filter(p => p.year === year).map(itemHtml).join('')}</ul>
+            </div>
+          `).join('')}
+        </section>
+      `;
+    }).join('');
+  }
+
+  async function renderPublications(containerSelector, src = SOURCE) {
+    const container = document.querySelector(containerSelector);
+    if (!container) return;
+
+    let pubs;
+    try {
+      const res = await fetch(src);
+      if (!res.ok) throw new Error(`Fetch error ${res.status}`);
+      pubs = parseBibtex(await res.text()).map(toPublication);
+    } catch (err) {
+      console.error('Publications could not be loaded', err);
+      container.innerHTML = `<div class="link-muted">Publications could not be loaded. <a href="${escapeHtml(src)}">Download them as BibTeX</a>.</div>`;
+      return;
+    }
+    // Newest first; within a year by month, then in file order
+    pubs = pubs
+      .map((p, i) => ({ ...p, order: i }))
+      .sort((a, b) => b.year.localeCompare(a.year) || b.month - a.month || a.order - b.order);
+    pubs.forEach((p) => { p.search = searchText(p); });
+
+    container.innerHTML = `
+      <form class="pub-toolbar" role="search">
+        <input type="search" class="form-control pub-search" name="q" placeholder="Filter by keyword, author or year" aria-label="Filter publications">
+        <div class="pub-status link-muted" aria-live="polite"></div>
+      </form>
+      <div class="pub-results"></div>
+    `;
+    const toolbar = container.querySelector('.pub-toolbar');
+    const status = container.querySelector('.pub-status');
+    const results = container.querySelector('.pub-results');
+    const byKey = new Map(pubs.map(p => [p.key, p]));
+
+    function update() {
+      const query = toolbar.elements.namedItem('q').value.trim();
+      const shown = query ? pubs.filter(p => matches(p, query)) : pubs;
+      status.textContent = shown.length === pubs.length ? '' : `${shown.length} of ${pubs.length} publications`;
+      results.innerHTML = shown.length ? resultsHtml(shown) : '<div class="link-muted">No publications match this filter.</div>';
+    }
+
+    toolbar.addEventListener('input', update);
+    toolbar.addEventListener('submit', (e) => e.preventDefault());
+
+    results.addEventListener('click', (e) => {
+      const item = e.target.closest('.pub-item');
+      if (!item) return;
+      const toggle = e.target.closest('.pub-cite-toggle');
+      const menu = item.querySelector('.pub-cite-menu');
+      if (toggle) {
+        const open = menu.hidden;
+        menu.hidden = !open;
+        toggle.setAttribute('aria-expanded', String(open));
+        if (open) menu.querySelector('button').focus();
+        return;
+      }
+      const button = e.target.closest('[data-format]');
+      if (!button) return;
+      const feedback = item.querySelector('.pub-cite-feedback');
+      const text = citation(byKey.get(item.dataset.key), button.dataset.format);
+      const label = FORMATS[button.dataset.format];
+      copyText(text).then(
+        () => { feedback.textContent = `${label} copied`; },
+        () => {
+          // No clipboard access: show the text selected so it can be copied by hand
+          let area = item.querySelector('.pub-cite-text');
+          if (!area) {
+            area = document.createElement('textarea');
+            area.className = 'form-control pub-cite-text';
+            area.readOnly = true;
+            item.appendChild(area);
+          }
+          area.value = text;
+          area.rows = Math.min(12, text.split('\n').length);
+          area.select();
+          feedback.textContent = `Copy the ${label} text below`;
+        }
+      );
+    });
+
+    update();
+  }
+
+  window.Publications = { parseBibtex, renderPublications };
+})();
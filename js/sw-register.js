@@ -0,0 +1,10 @@
+/*
+  Registers the site's service worker (/sw.js) for offline browsing and cached media
+*/
+(function () {
+  if (!('serviceWorker' in navigator) || location.protocol === 'file:') return;
+  window.addEventListener('load', () => {
+    // Without it the site simply works online only
+    navigator.serviceWorker.register('/sw.js').catch(() => {});
+  });
+})();
@@ -1,20 +1,111 @@
 /*
   Dynamic travel gallery utilities for GitHub Pages
-  - Lists folders and media using GitHub REST API
-  - Renders responsive gallery grid for images/videos
+  - Reads the album manifest (img/travel/albums.json, see scripts/build-albums.js)
+  - Falls back to listing folders with the GitHub REST API (one Git Trees call,
+    ETag-revalidated, cached in localStorage, backs off when rate limited)
+  - Renders responsive gallery grid for images/videos, ordered by capture time
+  - Uses pre-generated WebP/AVIF variants (scripts/build-variants.js) when present
+  - Loads the rest as they scroll into view through a small worker queue
+  - Plots geotagged photos on an offline SVG world map
+  - Shows titles, descriptions, tags and captions from <slug>/album.json sidecars
+  - Travel hub with search, location/tag filters, sorting and a by-year view (state in the URL)
+  - Fills the shared album page (travel/album.html?album=<slug>) from that data
+  - Saves whole albums for offline viewing (served by the service worker in /sw.js)
+  - Decodes HEIC and downsizes originals in a Web Worker (js/media-decoder.js)
+  - Shows HEIC/JPG/MOV files of one shot as a single item, playing the clip as a Live Photo
+  - Skips redundant shots listed in img/travel/duplicates.json (scripts/find-duplicates.js)
+    in API listings; the manifest leaves them out already
+  - Video tiles with posters (pre-generated, else grabbed from the clip), duration and play badges,
+    and a download link for formats this browser cannot play
+  - Embeddable: TravelGallery.init(options) puts an album in any container (grid, masonry or
+    carousel, another repo or folder), with its own lightbox, lifecycle events and destroy();
+    another repository's files load from raw.githubusercontent.com (or options.mediaRoot);
+    js/travel-gallery.mjs is the ES module entry
+  - Selection mode on album pages: download the chosen originals as one ZIP built in the browser
+    (js/album-zip.js), optionally without location and camera data
 */
 (function () {
-  const OWNER = 'lulukef';
-  const REPO = 'lulukef.github.io';
-  const BRANCH = 'main';
-  const BASE = 'img/travel';
-  const API = (path) => `https://api.github.com/repos/${OWNER}/${REPO}/contents/${path}?ref=${BRANCH}`;
+  if (window.TravelGallery) return; // already loaded, e.g. by both a <script> tag and js/travel-gallery.mjs
+
+  // Options for init() and the render functions; anything not passed comes from here
+  const DEFAULTS = {
+    owner: 'lulukef', // GitHub repository listed when an album is not in the manifest
+    repo: 'lulukef.github.io',
+    branch: 'main',
+    base: 'img/travel', // folder holding one subfolder per album
+    // Where file URLs start: null means this site for its own repository, else the repository's raw files
+    mediaRoot: null,
+    // Pages may point this at scripts/mock-github-api.js (or another proxy) before loading the file
+    apiRoot: window.TRAVEL_GALLERY_API_ROOT || 'https://api.github.com',
+    albumPage: '/travel/album.html', // shared page that shows any album (?album=<slug>)
+    sizes: [480, 1200], // variant sizes offered to tiles
+    maxDim: 1600, // max width/height for images resized in the browser
+    layout: 'grid', // 'grid', 'masonry' or 'carousel'
+    lightbox: true, // open items in the lightbox (else follow the link)
+    deeplink: false, // mirror the open item in the URL hash as #photo=<name>
+    limit: 0, // show at most this many items, 0 for all
+    filter: null, // (file) => boolean, e.g. to feature a few photos
+    intro: true, // show the album's description and tags above the items
+    select: false, // offer a selection mode that downloads the chosen originals as a ZIP
+    on: null // { render, itemload, error, open, close } listeners
+  };
+  // `sizes` attribute of tile images in each layout
+  const LAYOUTS = {
+    grid: '(max-width: 576px) 100vw, (max-width: 992px) 50vw, 320px',
+    masonry: '(max-width: 576px) 100vw, (max-width: 992px) 50vw, 360px',
+    carousel: '(max-width: 576px) 75vw, 300px'
+  };
+  const EVENTS = ['render', 'itemload', 'error', 'open', 'close']; // dispatched as gallery:<name>
+  const API_CACHE_PREFIX = 'travel-gallery:api:';
+  const API_CACHE_TTL = 10 * 60 * 1000; // reuse a listing without asking GitHub for 10 minutes
+  const API_BLOCKED_KEY = 'travel-gallery:api-blocked-until';
+  const WORLD = '/data/world-110m.geojson'; // bundled country outlines, see data/README.txt
+  const SITE_TITLE = 'Travel • Laxman Kafle';
 
   const IMAGE_EXT = ['.jpg', '.jpeg', '.png', '.gif', '.webp'];
   const HEIC_EXT = ['.heic'];
   const VIDEO_EXT = ['.mp4', '.webm', '.mov'];
-  const MAX_DIM = 1600; // max width/height for displayed images
-  const urlCache = new Map(); // cache of object URLs
+  const VIDEO_TYPES = { '.mp4': 'video/mp4', '.webm': 'video/webm', '.mov': 'video/quicktime' };
+  // Typical codec strings for the sample entries scripts/video-meta.js reports, for canPlayType
+  const CODEC_PROBES = {
+    avc1: 'avc1.640028',
+    avc3: 'avc3.640028',
+    hvc1: 'hvc1.1.6.L123.B0',
+    hev1: 'hev1.1.6.L123.B0',
+    vp08: 'vp8',
+    vp09: 'vp09.00.10.08',
+    av01: 'av01.0.05M.08',
+    mp4v: 'mp4v.20.8'
+  };
+  const POSTER_DIM = 640; // long edge of posters grabbed in the browser
+  const POSTER_TIMEOUT = 8000; // give up on a grab (and show the clip's own first frame) after this
+  const DECODER = '/js/media-decoder.js'; // loaded on first use; runs in a Web Worker where possible
+  const HEIF_DECODER = '/js/vendor/libheif-bundle.js'; // loaded by DECODER for HEIC originals
+  const ZIP_WRITER = '/js/album-zip.js'; // loaded when a selection is downloaded
+  const ZIP_MAX_BYTES = 1024 * 1024 * 1024; // the ZIP is built in memory: bigger selections are refused
+  const VARIANT_DIR = 'variants'; // mirrors scripts/build-albums.js
+  const MAX_CONCURRENT = 3; // originals downloaded/resized at once
+  const LOAD_MARGIN = '400px 0px'; // start loading a little before items scroll into view
+  const renders = new Map(); // container -> in-flight render state
+  const galleries = new Map(); // container -> gallery from init()
+  const sources = new Map(); // "<api>/<owner>/<repo>@<branch>:<base>" -> listings fetched for it
+
+  // Options merged over DEFAULTS; galleries reading the same repository and folder share listings
+  function settings(options = {}) {
+    const cfg = { ...DEFAULTS, ...options };
+    if (!LAYOUTS[cfg.layout]) throw new Error(`Unknown gallery layout "${cfg.layout}"`);
+    cfg.apiRoot = cfg.apiRoot.replace(/\/$/, '');
+    cfg.base = cfg.base.replace(/^\/|\/$/g, '');
+    if (cfg.mediaRoot === null) {
+      const ownSite = cfg.owner === DEFAULTS.owner && cfg.repo === DEFAULTS.repo && cfg.branch === DEFAULTS.branch;
+      cfg.mediaRoot = ownSite ? '' : `https://raw.githubusercontent.com/${cfg.owner}/${cfg.repo}/${cfg.branch}`;
+    }
+    cfg.mediaRoot = cfg.mediaRoot.replace(/\/$/, '');
+    const key = `${cfg.apiRoot}/${cfg.owner}/${cfg.repo}@${cfg.branch}:${cfg.base}`;
+    if (!sources.has(key)) sources.set(key, { tree: null, duplicates: null, manifest: null, albums: new Map() });
+    cfg.source = sources.get(key);
+    return cfg;
+  }
 
   function isImage(name) {
     const n = name.toLowerCase();
@@ -33,389 +124,2279 @@
       .replace(/[-_]+/g, ' ')
       .replace(/\b\w/g, (c) => c.toUpperCase());
   }
+  // URL of anything under cfg.base: originals, variants, albums.json, sidecars
+  function mediaUrl(cfg, path) {
+    return `${cfg.mediaRoot}/${cfg.base}/${path}`;
+  }
+  function albumUrl(cfg, slug) {
+    return `${cfg.albumPage}?album=${encodeURIComponent(slug)}`;
+  }
+  function albumTitle(album) {
+    return album.title || toTitle(album.slug);
+  }
+  function altText(file) {
+    return file.alt || file.caption || file.name;
+  }
+  function formatDuration(seconds) {
+    const total = Math.round(seconds);
+    const h = Math.floor(total / 3600);
+    const m = Math.floor((total % 3600) / 60);
+    const ss = String(total % 60).padStart(2, '0');
+    return h ? `${h}:${String(m).padStart(2, '0')}:${ss}` : `${m}:${ss}`;
+  }
 
-  async function fetchJson(url) {
-    const res = await fetch(url, { headers: { 'Accept': 'application/vnd.github.v3+json' } });
-    if (!res.ok) throw new Error(`GitHub API error ${res.status}`);
-    return res.json();
+  // QuickTime files are MP4 inside: browsers that refuse video/quicktime often play them as video/mp4.
+  // Undetectable cases (e.g. HEVC in a .mov without a manifest) fall back when playback fails.
+  function canPlayVideo(file) {
+    const probe = document.createElement('video');
+    if (typeof probe.canPlayType !== 'function') return true;
+    const ext = file.name.slice(file.name.lastIndexOf('.')).toLowerCase();
+    if (file.codec && CODEC_PROBES[file.codec]) {
+      const container = ext === '.webm' ? 'video/webm' : 'video/mp4';
+      return probe.canPlayType(`${container}; codecs="${CODEC_PROBES[file.codec]}"`) !== '';
+    }
+    return probe.canPlayType(VIDEO_TYPES[ext]) !== '' || (ext === '.mov' && probe.canPlayType('video/mp4') !== '');
   }
 
-  async function fetchBlob(url) {
-    const res = await fetch(url);
-    if (!res.ok) throw new Error(`Fetch error ${res.status}`);
-    return res.blob();
+  const MONTHS = ['January', 'February', 'March', 'April', 'May', 'June', 'July', 'August', 'September', 'October', 'November', 'December'];
+
+  // EXIF times are wall-clock times at the place of capture: compare and format
+  // the "YYYY-MM-DDTHH:MM:SS" prefix rather than converting through time zones.
+  function wallClock(taken) {
+    return typeof taken === 'string' ? taken.slice(0, 19) : '';
   }
 
-  function loadScriptOnce(src) {
-    return new Promise((resolve, reject) => {
-      if (document.querySelector(`script[src="${src}"]`)) return resolve();
-      const s = document.createElement('script');
-      s.src = src;
-      s.async = true;
-      s.onload = () => resolve();
-      s.onerror = reject;
-      document.head.appendChild(s);
-    });
+  function sortByCapture(files) {
+    return files
+      .map((f, i) => ({ f, i, t: wallClock(f.taken) }))
+      .sort((a, b) => {
+        if (a.t && b.t) return a.t < b.t ? -1 : a.t > b.t ? 1 : a.i - b.i;
+        if (a.t || b.t) return a.t ? -1 : 1; // undated files go last
+        return a.i - b.i;
+      })
+      .map((x) => x.f);
   }
 
-  async function ensureHeicLib() {
-    if (window.heic2any) return;
-    await loadScriptOnce('https://cdn.jsdelivr.net/npm/heic2any@0.0.3/dist/heic2any.min.js');
+  function formatDateRange(dates) {
+    if (!dates || !dates.start) return '';
+    const [y1, m1, d1] = wallClock(dates.start).slice(0, 10).split('-').map(Number);
+    const [y2, m2, d2] = wallClock(dates.end || dates.start).slice(0, 10).split('-').map(Number);
+    const short = (m) => MONTHS[m - 1].slice(0, 3);
+    if (y1 === y2 && m1 === m2 && d1 === d2) return `${MONTHS[m1 - 1]} ${d1}, ${y1}`;
+    if (y1 === y2 && m1 === m2) return `${MONTHS[m1 - 1]} ${d1}–${d2}, ${y1}`;
+    // Short trips across a month or year boundary keep their days
+    const days = (Date.UTC(y2, m2 - 1, d2) - Date.UTC(y1, m1 - 1, d1)) / 86400000;
+    if (days <= 31) {
+      return y1 === y2
+        ? `${short(m1)} ${d1} – ${short(m2)} ${d2}, ${y1}`
+        : `${short(m1)} ${d1}, ${y1} – ${short(m2)} ${d2}, ${y2}`;
+    }
+    return `${short(m1)} ${y1} – ${short(m2)} ${y2}`;
   }
 
-  function blobToImage(blob) {
-    return new Promise((resolve, reject) => {
-      const img = new Image();
-      img.onload = () => resolve(img);
-      img.onerror = reject;
-      img.src = URL.createObjectURL(blob);
-    });
+  function escapeHtml(value) {
+    return String(value).replace(/&/g, '&amp;').replace(/"/g, '&quot;').replace(/</g, '&lt;');
+  }
+
+  // Data attributes read by the lightbox (media type, info panel, Live Photo clip)
+  function infoAttrs(cfg, file, slug) {
+    const attrs = [`data-name="${escapeHtml(file.name)}"`, `data-type="${isVideo(file.name) ? 'video' : 'image'}"`];
+    if (file.taken) attrs.push(`data-taken="${escapeHtml(file.taken)}"`);
+    if (file.camera) attrs.push(`data-camera="${escapeHtml(file.camera)}"`);
+    if (file.exposure) {
+      const { time, aperture, iso, focal } = file.exposure;
+      const text = [time, aperture, iso ? `ISO ${iso}` : '', focal].filter(Boolean).join(' · ');
+      if (text) attrs.push(`data-exposure="${escapeHtml(text)}"`);
+    }
+    if (file.gps) attrs.push(`data-gps="${file.gps.lat},${file.gps.lon}"`);
+    if (file.duration) attrs.push(`data-duration="${formatDuration(file.duration)}"`);
+    if (file.caption) attrs.push(`data-caption="${escapeHtml(file.caption)}"`);
+    attrs.push(`data-alt="${escapeHtml(altText(file))}"`);
+    if (file.live) attrs.push(`data-live="${escapeHtml(mediaUrl(cfg, `${slug}/${file.live}`))}"`);
+    return attrs.join(' ');
+  }
+
+  // --- Pre-generated variants: <slug>/variants/<name>.<size>.<format> ---
+
+  function variantUrl(cfg, slug, file, size, format) {
+    return mediaUrl(cfg, `${slug}/${VARIANT_DIR}/${encodeURIComponent(file.name)}.${size}.${format}`);
+  }
+
+  // Pixel width of a variant: sizes are long-edge limits and never upscale
+  function variantWidth(file, size) {
+    if (!file.width || !file.height) return size;
+    const scale = Math.min(1, size / Math.max(file.width, file.height));
+    return Math.round(file.width * scale);
+  }
+
+  function variantSrcset(cfg, slug, file, format) {
+    return (file.variants[format] || [])
+      .filter(size => cfg.sizes.includes(size))
+      .map(size => `${variantUrl(cfg, slug, file, size, format)} ${variantWidth(file, size)}w`)
+      .join(', ');
+  }
+
+  function largeVariantUrl(cfg, slug, file) {
+    const sizes = file.variants && file.variants.webp;
+    return sizes && sizes.length ? variantUrl(cfg, slug, file, sizes[sizes.length - 1], 'webp') : null;
+  }
+
+  function thumbUrl(cfg, slug, file) {
+    const sizes = file.variants && file.variants.webp;
+    return sizes && sizes.length ? variantUrl(cfg, slug, file, sizes[0], 'webp') : mediaUrl(cfg, `${slug}/${file.name}`);
+  }
+
+  function pictureHtml(cfg, slug, file) {
+    const size = file.width && file.height ? ` width="${file.width}" height="${file.height}"` : '';
+    const avif = variantSrcset(cfg, slug, file, 'avif');
+    const webp = variantSrcset(cfg, slug, file, 'webp');
+    const sizes = LAYOUTS[cfg.layout];
+    return `<picture>
+      ${avif ? `<source type="image/avif" srcset="${avif}" sizes="${sizes}">` : ''}
+      <img src="${thumbUrl(cfg, slug, file)}" srcset="${webp}" sizes="${sizes}" alt="${escapeHtml(altText(file))}"${size} loading="lazy" decoding="async"/>
+    </picture>`;
+  }
+
+  // --- GitHub API client: the unauthenticated limit is 60 requests an hour per visitor ---
+
+  // What the last API calls fell back to, shown by apiNoticeHtml()
+  const apiStatus = { stale: false, unavailable: false, cachedAt: 0, resetAt: 0 };
+
+  function readApiCache(url) {
+    try {
+      return JSON.parse(localStorage.getItem(API_CACHE_PREFIX + url));
+    } catch (err) {
+      return null;
+    }
   }
 
-  async function resizeToPng(blob, maxDim = MAX_DIM) {
-    const img = await blobToImage(blob);
-    const scale = Math.min(1, maxDim / Math.max(img.width, img.height));
-    const w = Math.max(1, Math.round(img.width * scale));
-    const h = Math.max(1, Math.round(img.height * scale));
-    const canvas = document.createElement('canvas');
-    canvas.width = w; canvas.height = h;
-    const ctx = canvas.getContext('2d');
-    ctx.drawImage(img, 0, 0, w, h);
-    return new Promise((resolve) => canvas.toBlob((b) => resolve(b || blob), 'image/png'));
+  function writeApiCache(url, entry) {
+    try {
+      localStorage.setItem(API_CACHE_PREFIX + url, JSON.stringify(entry));
+    } catch (err) {
+      // storage full or disabled: the listing is just not cached
+    }
+  }
+
+  function blockedUntil() {
+    try {
+      return Number(localStorage.getItem(API_BLOCKED_KEY)) || 0;
+    } catch (err) {
+      return 0;
+    }
   }
 
-  async function buildDisplayUrl(pathRelative) {
-    // Return cached object URL if present
-    if (urlCache.has(pathRelative)) return urlCache.get(pathRelative);
-    const lower = pathRelative.toLowerCase();
-    const absolute = `/${pathRelative}`; // site-relative
+  // X-RateLimit-Remaining: 0 (or a secondary-limit Retry-After) pauses calls until the reset time
+  function noteRateLimit(res) {
+    const retryAfter = Number(res.headers.get('Retry-After'));
+    const remaining = res.headers.get('X-RateLimit-Remaining');
+    const reset = Number(res.headers.get('X-RateLimit-Reset'));
+    let until = 0;
+    if (retryAfter) until = Date.now() + retryAfter * 1000;
+    else if (remaining === '0' && reset) until = reset * 1000;
+    else if (res.status === 403 || res.status === 429) until = Date.now() + 60 * 1000;
+    if (!until) return;
     try {
-      if (HEIC_EXT.some(e => lower.endsWith(e))) {
-        await ensureHeicLib();
-        const heicBlob = await fetchBlob(absolute);
-        const pngBlob = await window.heic2any({ blob: heicBlob, toType: 'image/png' });
-        const resized = await resizeToPng(pngBlob, MAX_DIM);
-        const url = URL.createObjectURL(resized);
-        urlCache.set(pathRelative, url);
-        return url;
-      } else if (IMAGE_EXT.some(e => lower.endsWith(e))) {
-        // For large images, downscale to PNG for consistent display
-        const imgBlob = await fetchBlob(absolute);
-        const resized = await resizeToPng(imgBlob, MAX_DIM);
-        const url = URL.createObjectURL(resized);
-        urlCache.set(pathRelative, url);
-        return url;
+      localStorage.setItem(API_BLOCKED_KEY, String(until));
+    } catch (err) {
+      // without storage the next page view simply tries again
+    }
+  }
+
+  // Fresh cache entry, else a conditional request; stale data beats none when GitHub says no
+  async function fetchJson(url) {
+    const cached = readApiCache(url);
+    const now = Date.now();
+    if (cached && now - cached.time < API_CACHE_TTL) return cached.data;
+
+    const fallBack = (reason) => {
+      apiStatus.resetAt = Math.max(apiStatus.resetAt, blockedUntil());
+      if (cached) {
+        apiStatus.stale = true;
+        apiStatus.cachedAt = apiStatus.cachedAt ? Math.min(apiStatus.cachedAt, cached.time) : cached.time;
+        return cached.data;
       }
+      apiStatus.unavailable = true;
+      throw new Error(reason);
+    };
+    if (blockedUntil() > now) return fallBack('GitHub API rate limit reached');
+
+    const headers = { 'Accept': 'application/vnd.github.v3+json' };
+    if (cached && cached.etag) headers['If-None-Match'] = cached.etag; // 304s do not count against the limit
+    let res;
+    try {
+      res = await fetch(url, { headers });
+    } catch (err) {
+      return fallBack(`GitHub API unreachable: ${err.message}`);
+    }
+    noteRateLimit(res);
+    if (res.status === 304 && cached) {
+      writeApiCache(url, { ...cached, time: now });
+      return cached.data;
+    }
+    if (!res.ok) return fallBack(`GitHub API error ${res.status}`);
+    const data = await res.json();
+    writeApiCache(url, { etag: res.headers.get('ETag'), time: now, data });
+    return data;
+  }
+
+  function apiNoticeHtml() {
+    if (!apiStatus.stale && !apiStatus.unavailable) return '';
+    const time = (ms) => new Date(ms).toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' });
+    const retry = apiStatus.resetAt > Date.now() ? ` GitHub's rate limit resets at ${time(apiStatus.resetAt)}.` : '';
+    const text = apiStatus.unavailable
+      ? `Some albums could not be loaded because GitHub is not answering right now.${retry}`
+      : `Showing album listings saved at ${time(apiStatus.cachedAt)}; they may be out of date.${retry}`;
+    return `<div class="travel-status${apiStatus.unavailable ? ' is-error' : ''}" role="status">
+      <i class="fas fa-${apiStatus.unavailable ? 'exclamation-triangle' : 'history'}"></i> ${text}
+    </div>`;
+  }
+
+  // Every caller waits for the same load, so concurrent queue tasks never see a half-loaded script;
+  // a failed load is forgotten so the next call can retry
+  const scriptLoads = new Map(); // src -> Promise
+  function loadScriptOnce(src) {
+    if (!scriptLoads.has(src)) {
+      const load = new Promise((resolve, reject) => {
+        // A tag written into the page has run before this file (it is not async)
+        if (document.querySelector(`script[src="${src}"]`)) return resolve();
+        const s = document.createElement('script');
+        s.src = src;
+        s.async = true;
+        s.onload = () => resolve();
+        s.onerror = () => {
+          s.remove();
+          reject(new Error(`Could not load ${src}`));
+        };
+        document.head.appendChild(s);
+        return undefined;
+      });
+      load.catch(() => scriptLoads.delete(src));
+      scriptLoads.set(src, load);
+    }
+    return scriptLoads.get(src);
+  }
+
+  // Download an image (HEIC included) and downscale it to an object URL, in js/media-decoder.js.
+  // Falls back to the original at `src`, or null for a HEIC; the caller owns and revokes blob: URLs.
+  async function buildDisplayUrl(pathRelative, src, maxDim, signal) {
+    try {
+      await loadScriptOnce(DECODER);
+      const blob = await window.MediaDecoder.decode(src, { heic: isHeic(pathRelative), maxDim, signal });
+      return URL.createObjectURL(blob);
     } catch (e) {
-      console.warn('display URL processing failed, falling back to original', pathRelative, e);
+      if (e.name === 'AbortError') throw e;
+      console.warn('display URL processing failed', pathRelative, e);
     }
-    return absolute; // fallback to original
+    // Only Safari shows HEIC itself: elsewhere the original would be a broken image
+    return isHeic(pathRelative) ? null : src;
+  }
+
+  // Run at most `limit` tasks at a time; tasks queued after `signal` aborts never start
+  function createQueue(limit, signal) {
+    const pending = [];
+    let active = 0;
+    function next() {
+      while (active < limit && pending.length > 0 && !signal.aborted) {
+        const task = pending.shift();
+        active++;
+        Promise.resolve()
+          .then(task)
+          .catch((e) => { if (e.name !== 'AbortError') console.warn('Gallery item failed', e); })
+          .finally(() => { active--; next(); });
+      }
+    }
+    return (task) => { pending.push(task); next(); };
+  }
+
+  // Stop a container's previous render: abort downloads, stop observing, free blob: URLs
+  function disposeRender(container) {
+    const state = renders.get(container);
+    if (!state) return;
+    renders.delete(container);
+    state.controller.abort();
+    if (state.observer) state.observer.disconnect();
+    state.urls.forEach((url) => URL.revokeObjectURL(url));
   }
 
-  async function listFolder(path) {
+  // Leaving the page cancels everything; coming back from the back/forward cache re-renders
+  const pendingRerenders = [];
+  window.addEventListener('pagehide', () => {
+    Array.from(renders.keys()).forEach((container) => {
+      pendingRerenders.push(renders.get(container).rerender);
+      disposeRender(container);
+    });
+  });
+  window.addEventListener('pageshow', (e) => {
+    if (!e.persisted) return;
+    pendingRerenders.splice(0).forEach((rerender) => rerender());
+  });
+
+  function contentsUrl(cfg, path) {
+    return `${cfg.apiRoot}/repos/${cfg.owner}/${cfg.repo}/contents/${path}?ref=${cfg.branch}`;
+  }
+
+  function treeUrl(cfg, path) {
+    return `${cfg.apiRoot}/repos/${cfg.owner}/${cfg.repo}/git/trees/${encodeURIComponent(`${cfg.branch}:${path}`)}?recursive=1`;
+  }
+
+  async function listFolder(cfg, path) {
     try {
-      return await fetchJson(API(path));
+      return await fetchJson(contentsUrl(cfg, path));
     } catch (err) {
       console.error('Failed to list folder', path, err);
       return [];
     }
   }
 
-  async function renderAlbumGallery(containerSelector, albumSlug) {
-    const container = document.querySelector(containerSelector);
-    if (!container) return;
-    const path = `${BASE}/${albumSlug}`;
-    
-    // Try to get files from API first
-    let items = await listFolder(path);
-    let media = [];
-    
-    if (Array.isArray(items) && items.length > 0) {
-      media = items.filter(i => i.type === 'file' && (isImage(i.name) || isHeic(i.name) || isVideo(i.name)));
+  // The whole album folder tree in one call: slug -> Contents-API-shaped file entries
+  function loadTree(cfg) {
+    const { source } = cfg;
+    if (!source.tree) {
+      source.tree = fetchJson(treeUrl(cfg, cfg.base))
+        .then((tree) => {
+          if (tree.truncated) return null; // too big for one response: list folders one by one
+          const albums = new Map();
+          tree.tree.forEach((node) => {
+            const parts = node.path.split('/');
+            if (node.type === 'tree' && parts.length === 1) albums.set(node.path, albums.get(node.path) || []);
+            if (node.type !== 'blob' || parts.length !== 2) return; // skips variants/ and loose files
+            if (!albums.has(parts[0])) albums.set(parts[0], []);
+            albums.get(parts[0]).push({ type: 'file', name: parts[1], size: node.size });
+          });
+          return albums;
+        })
+        .catch((err) => {
+          console.error('Failed to list', cfg.base, err);
+          return null;
+        });
     }
-    
-    // If API failed or returned no media, use fallback list
-    if (media.length === 0 && FALLBACK_FILES[albumSlug]) {
-      console.log('Using fallback file list for', albumSlug);
-      media = FALLBACK_FILES[albumSlug].map(name => ({ name, type: 'file' }));
+    return source.tree;
+  }
+
+  async function listAlbumFiles(cfg, slug) {
+    const tree = await loadTree(cfg);
+    if (tree) return tree.get(slug) || [];
+    const items = await listFolder(cfg, `${cfg.base}/${slug}`);
+    return items.filter(i => i.type === 'file');
+  }
+
+  async function listAlbumSlugs(cfg) {
+    const tree = await loadTree(cfg);
+    if (tree) return [...tree.keys()];
+    const nodes = await listFolder(cfg, cfg.base);
+    return nodes.filter(n => n.type === 'dir').map(n => n.name);
+  }
+
+  // "<slug>/<name>" paths of redundant copies, for API listings only; an empty set when there is no list
+  function loadHiddenDuplicates(cfg) {
+    const { source } = cfg;
+    if (!source.duplicates) {
+      source.duplicates = fetch(mediaUrl(cfg, 'duplicates.json'), { cache: 'no-cache' })
+        .then((res) => (res.ok ? res.json() : null))
+        .then((data) => new Set(data && Array.isArray(data.hidden) ? data.hidden : []))
+        .catch(() => new Set());
+    }
+    return source.duplicates;
+  }
+
+  function loadManifest(cfg) {
+    // One request per page and folder; null means "no manifest, use the API"
+    const { source } = cfg;
+    if (!source.manifest) {
+      // build-albums.js already leaves out the copies listed in duplicates.json
+      source.manifest = fetch(mediaUrl(cfg, 'albums.json'), { cache: 'no-cache' })
+        .then((res) => (res.ok ? res.json() : null))
+        .catch((err) => {
+          console.warn('Album manifest unavailable', err);
+          return null;
+        });
+    }
+    return source.manifest;
+  }
+
+  async function findAlbum(cfg, slug) {
+    const manifest = await loadManifest(cfg);
+    if (!manifest || !Array.isArray(manifest.albums)) return null;
+    return manifest.albums.find((a) => a.slug === slug) || null;
+  }
+
+  // Albums missing from the manifest: read <slug>/album.json directly (see scripts/build-albums.js)
+  async function loadSidecar(cfg, slug) {
+    try {
+      const res = await fetch(mediaUrl(cfg, `${slug}/album.json`));
+      return res.ok ? await res.json() : {};
+    } catch (err) {
+      return {};
+    }
+  }
+
+  // One shot saved as HEIC/JPG/MOV becomes one item, as pairMedia in scripts/build-albums.js
+  function pairMedia(files) {
+    const groups = new Map();
+    files.forEach((f) => {
+      const key = f.name.replace(/\.[^.]+$/, '').toLowerCase();
+      if (!groups.has(key)) groups.set(key, []);
+      groups.get(key).push(f);
+    });
+    const items = [];
+    groups.forEach((group) => {
+      const stills = group.filter(f => !isVideo(f.name));
+      const videos = group.filter(f => isVideo(f.name));
+      if (stills.length === 0 || group.length === 1) {
+        items.push(...group);
+        return;
+      }
+      const still = stills.find(f => isImage(f.name)) || stills[0];
+      const others = stills.filter(f => f !== still);
+      // size: every original of the shot, as the album ZIP downloads them
+      const item = { ...still, size: group.reduce((sum, f) => sum + (f.size || 0), 0) };
+      if (others.length) item.alternates = others.map(f => f.name);
+      if (videos.length) item.live = videos[0].name;
+      items.push(item, ...videos.slice(1));
+    });
+    return items;
+  }
+
+  function applySidecar(slug, files, sidecar) {
+    const hidden = new Set(sidecar.hidden || []);
+    const meta = sidecar.files || {};
+    return {
+      slug,
+      title: sidecar.title,
+      description: sidecar.description,
+      location: sidecar.location,
+      tags: sidecar.tags,
+      files: pairMedia(files
+        .filter(f => !hidden.has(f.name))
+        .map(f => ({ ...f, ...(meta[f.name] || {}) })))
+    };
+  }
+
+  // Album data from the manifest, else the API listing plus sidecar; null when it has no media
+  function resolveAlbum(cfg, slug) {
+    const { albums } = cfg.source;
+    if (!albums.has(slug)) {
+      albums.set(slug, (async () => {
+        const album = await findAlbum(cfg, slug);
+        if (album) return album;
+        const [items, sidecar, duplicates] = await Promise.all([listAlbumFiles(cfg, slug), loadSidecar(cfg, slug), loadHiddenDuplicates(cfg)]);
+        const files = items
+          .filter(i => isImage(i.name) || isHeic(i.name) || isVideo(i.name))
+          .filter(i => !duplicates.has(`${slug}/${i.name}`));
+        const fallback = applySidecar(slug, files, sidecar);
+        if (fallback.files.length === 0) return null;
+        const cover = fallback.files.find(f => f.name === sidecar.cover || (f.alternates || []).includes(sidecar.cover))
+          || fallback.files.find(f => isImage(f.name));
+        return { ...fallback, cover: cover ? cover.name : null, dates: sidecar.dates || null };
+      })());
     }
+    return albums.get(slug);
+  }
+
+  function albumIntroHtml(album) {
+    const tags = (album.tags || []).map(t => `<span class="album-tag">${escapeHtml(t)}</span>`).join('');
+    if (!album.description && !tags) return '';
+    return `<div class="album-intro">
+      ${album.description ? `<p class="album-description">${escapeHtml(album.description)}</p>` : ''}
+      ${tags ? `<div class="album-tags">${tags}</div>` : ''}
+    </div>`;
+  }
+
+  // --- Embeddable galleries ---
+
+  // One album in a container, with its own lightbox, events and teardown:
+  //   const gallery = TravelGallery.init({ container: '#featured', album: 'rara-nepal', layout: 'carousel', limit: 12 });
+  //   gallery.on('open', (e) => console.log(e.detail.name));
+  //   gallery.destroy();
+  // Events, also dispatched on the container as gallery:<name> CustomEvents (detail.gallery is the instance):
+  //   render { album, items }, itemload { item, file }, error { error, item, file }, open { index, name }, close
+  function init(options = {}) {
+    const container = typeof options.container === 'string' ? document.querySelector(options.container) : options.container;
+    if (!container) throw new Error(`Gallery container not found: ${options.container}`);
+    if (!options.album) throw new Error('TravelGallery.init needs an album slug');
+    if (galleries.has(container)) galleries.get(container).destroy();
+    const cfg = settings(options);
+    const listeners = []; // [event type, handler] pairs added by on()
+    let destroyed = false;
+
+    const emit = (type, detail = {}) => {
+      if (!destroyed) container.dispatchEvent(new CustomEvent(`gallery:${type}`, { bubbles: true, detail: { gallery, ...detail } }));
+    };
+    const lightbox = () => window.TravelGallery.lightbox;
+    const grid = () => container.querySelector('.gallery-grid');
+    const openLink = (link, extra = {}) => lightbox().open(link, {
+      ...extra,
+      scope: container,
+      deeplink: cfg.deeplink,
+      onOpen: (detail) => emit('open', detail),
+      onClose: () => emit('close')
+    });
+    const onClick = (e) => {
+      const link = e.target.closest('a.lightbox-link');
+      if (!cfg.lightbox || !link || !grid() || !grid().contains(link)) return;
+      e.preventDefault();
+      openLink(link);
+    };
+    // #photo=<name>[&slideshow=1] links, on render and when edited on an open page
+    const openFromHash = () => {
+      const target = cfg.deeplink && cfg.lightbox && grid() && !lightbox().isOpen() ? lightbox().hashTarget(grid()) : null;
+      if (target) openLink(target.link, { playing: target.playing, interval: target.interval });
+    };
+
+    const gallery = {
+      container,
+      options: cfg,
+      render: () => renderGallery(gallery, emit, openFromHash),
+      open(index = 0) {
+        const links = grid() ? Array.from(grid().querySelectorAll('a.lightbox-link')) : [];
+        if (links.length) openLink(links[Math.min(Math.max(0, index), links.length - 1)]);
+      },
+      close() {
+        lightbox().close(container);
+      },
+      on(type, handler) {
+        if (!EVENTS.includes(type)) throw new Error(`Unknown gallery event "${type}"`);
+        container.addEventListener(`gallery:${type}`, handler);
+        listeners.push([type, handler]);
+        return () => gallery.off(type, handler);
+      },
+      off(type, handler) {
+        const i = listeners.findIndex(([t, h]) => t === type && h === handler);
+        if (i >= 0) listeners.splice(i, 1);
+        container.removeEventListener(`gallery:${type}`, handler);
+      },
+      // Stops loading, closes its lightbox, removes its listeners and empties the container
+      destroy() {
+        if (destroyed) return;
+        lightbox().close(container);
+        destroyed = true;
+        disposeRender(container);
+        container.removeEventListener('click', onClick);
+        window.removeEventListener('hashchange', openFromHash);
+        listeners.splice(0).forEach(([type, handler]) => container.removeEventListener(`gallery:${type}`, handler));
+        container.innerHTML = '';
+        if (galleries.get(container) === gallery) galleries.delete(container);
+      }
+    };
+    Object.entries(cfg.on || {}).forEach(([type, handler]) => gallery.on(type, handler));
+    container.addEventListener('click', onClick);
+    if (cfg.deeplink) window.addEventListener('hashchange', openFromHash);
+    galleries.set(container, gallery);
+    gallery.ready = gallery.render();
+    return gallery;
+  }
+
+  // Album pages: the gallery keeps the open photo in the URL and offers ZIP downloads
+  async function renderAlbumGallery(containerSelector, albumSlug, options = {}) {
+    if (!document.querySelector(containerSelector)) return;
+    await init({ deeplink: true, select: true, ...options, container: containerSelector, album: albumSlug }).ready;
+  }
+
+  // Carousel: a scroll-snapping row; the buttons move it by about a screenful
+  function carouselNav(grid) {
+    const nav = document.createElement('div');
+    nav.className = 'gallery-carousel-nav';
+    nav.innerHTML = `<button type="button" class="gallery-carousel-btn" data-step="-1" aria-label="Scroll back"><i class="fas fa-chevron-left"></i></button>
+      <button type="button" class="gallery-carousel-btn" data-step="1" aria-label="Scroll forward"><i class="fas fa-chevron-right"></i></button>`;
+    nav.addEventListener('click', (e) => {
+      const btn = e.target.closest('button[data-step]');
+      if (btn) grid.scrollBy({ left: Number(btn.dataset.step) * grid.clientWidth * 0.9, behavior: 'smooth' });
+    });
+    return nav;
+  }
+
+  async function renderGallery(gallery, emit, openFromHash) {
+    const { container, options: cfg } = gallery;
+    const albumSlug = cfg.album;
+    disposeRender(container);
+    const state = {
+      controller: new AbortController(),
+      observer: null,
+      urls: [],
+      rerender: gallery.render
+    };
+    renders.set(container, state);
+    const { signal } = state.controller;
+    const path = `${cfg.base}/${albumSlug}`;
     
+    // Manifest first; list the folder through the API only if the album is not in it
+    const album = await resolveAlbum(cfg, albumSlug);
+    if (signal.aborted) return; // re-rendered while listing
+    
+    let media = album ? sortByCapture(album.files) : [];
+    if (cfg.filter) media = media.filter(cfg.filter);
+    if (cfg.limit > 0) media = media.slice(0, cfg.limit);
     if (media.length === 0) {
-      container.innerHTML = `<div class="text-center link-muted">No media found yet. Drop images/videos in <code>${path}</code>.</div>`;
+      container.innerHTML = apiNoticeHtml() || `<div class="text-center link-muted">No media found yet. Drop images/videos in <code>${path}</code>.</div>`;
+      emit('error', { error: new Error(album ? `No matching media in ${path}` : `No media found in ${path}`) });
       return;
     }
     
+    // Every item gets its placeholder up front, so the grid keeps capture order
     const grid = document.createElement('div');
     grid.className = 'gallery-grid';
-
-    media.forEach(async file => {
-      const relPath = `${path}/${file.name}`;
+    grid.dataset.layout = cfg.layout;
+    if (cfg.layout === 'carousel') {
+      grid.tabIndex = 0; // scrollable with the arrow keys
+      grid.setAttribute('aria-label', albumTitle(album));
+    }
+    const loaders = new Map(); // placeholder -> load task
+    media.forEach((file) => {
       const item = document.createElement('div');
       item.className = 'gallery-item';
-      if (isImage(file.name) || isHeic(file.name)) {
-        // Prefer GitHub raw download URL for binary fetch reliability
-        const srcForFetch = file.download_url || `/${relPath}`;
-        let displayUrl;
-        if (isHeic(file.name)) {
-          // Convert HEIC to PNG then resize
-          await ensureHeicLib();
-          try {
-            const heicBlob = await fetchBlob(srcForFetch);
-            const pngBlob = await window.heic2any({ blob: heicBlob, toType: 'image/png' });
-            const resized = await resizeToPng(pngBlob, MAX_DIM);
-            displayUrl = URL.createObjectURL(resized);
-          } catch (e) {
-            console.warn('HEIC conversion failed; skipping', file.name, e);
-          }
-        } else {
-          try {
-            const imgBlob = await fetchBlob(srcForFetch);
-            const resized = await resizeToPng(imgBlob, MAX_DIM);
-            displayUrl = URL.createObjectURL(resized);
-          } catch (e) {
-            console.warn('Image resize failed; using original path', file.name, e);
-            displayUrl = `/${relPath}`;
-          }
+      grid.appendChild(item);
+      const relPath = `${path}/${file.name}`;
+      const load = () => loadItem(cfg, item, file, path, state).then(
+        () => emit('itemload', { item, file }),
+        (error) => {
+          if (error.name !== 'AbortError') emit('error', { error, item, file });
+          throw error;
+        });
+      if (isVideo(file.name)) {
+        item.innerHTML = videoTileHtml(cfg, albumSlug, file);
+        if (!file.variants) {
+          item.classList.add('is-pending');
+          loaders.set(item, load);
         }
-        // Wrap in clickable anchor for lightbox
-        item.innerHTML = `<a href="${displayUrl}" class="lightbox-link"><img src="${displayUrl}" alt="${file.name}" loading="lazy"/></a>`;
-      } else if (isVideo(file.name)) {
-        const url = `/${relPath}`;
-        // MOV may not play in all browsers; provide controls
-        item.innerHTML = `<video src="${url}" controls preload="metadata"></video>`;
+      } else if ((isImage(file.name) || isHeic(file.name)) && largeVariantUrl(cfg, albumSlug, file)) {
+        // Grid gets the small variants; the lightbox loads only the large one
+        item.innerHTML = `<a href="${largeVariantUrl(cfg, albumSlug, file)}" class="lightbox-link" ${infoAttrs(cfg, file, albumSlug)}>${pictureHtml(cfg, albumSlug, file)}</a>${captionHtml(file)}${liveBadgeHtml(file)}`;
+      } else {
+        // The link exists before its thumbnail so the lightbox sequence is complete
+        item.innerHTML = `<a href="${escapeHtml(`${cfg.mediaRoot}/${relPath}`)}" class="lightbox-link" ${infoAttrs(cfg, file, albumSlug)} aria-label="${escapeHtml(altText(file))}"></a>${captionHtml(file)}${liveBadgeHtml(file)}`;
+        item.classList.add('is-pending');
+        loaders.set(item, load);
       }
-      grid.appendChild(item);
+      // Pre-generated thumbnails load by themselves (lazily)
+      const img = loaders.has(item) ? null : item.querySelector('img');
+      if (img) {
+        img.addEventListener('load', () => emit('itemload', { item, file }), { once: true });
+        img.addEventListener('error', () => emit('error', { error: new Error(`Could not load ${img.currentSrc || img.src}`), item, file }), { once: true });
+      }
+      if (file.live) bindLivePhoto(item, mediaUrl(cfg, `${albumSlug}/${file.live}`));
+      if (cfg.select) item.insertAdjacentHTML('beforeend', selectBoxHtml(file));
     });
-    container.innerHTML = '';
+    container.innerHTML = apiNoticeHtml() + (cfg.intro ? albumIntroHtml(album) : '');
+    if (cfg.select) container.appendChild(selectionBar(cfg, grid, album, media, signal));
     container.appendChild(grid);
+    if (cfg.layout === 'carousel') container.appendChild(carouselNav(grid));
+    emit('render', { album, items: media.length });
+    openFromHash();
+
+    const enqueue = createQueue(MAX_CONCURRENT, signal);
+    if (!('IntersectionObserver' in window)) {
+      loaders.forEach((load) => enqueue(load));
+      return;
+    }
+    // A carousel clips its row, so items past its edge wait until scrolled to
+    state.observer = new IntersectionObserver((entries) => {
+      entries.forEach((entry) => {
+        if (!entry.isIntersecting) return;
+        state.observer.unobserve(entry.target);
+        enqueue(loaders.get(entry.target));
+      });
+    }, { rootMargin: LOAD_MARGIN });
+    loaders.forEach((_, item) => state.observer.observe(item));
   }
 
-  // Fallback album list for local development
-  const FALLBACK_ALBUMS = [
-    { slug: 'Apple_Picking2025', cover: '/img/travel/Apple_Picking2025/', date: 'Date: October 11, 2025' },
-    { slug: 'Boston', cover: '/img/travel/Boston/', date: 'Date: Since 2023' },
-    { slug: 'MIT-pictures', cover: '/img/travel/MIT-pictures/', date: 'Date: Since 2023' },
-    { slug: 'New_York_2023', cover: '/img/travel/New_York_2023/', date: 'Date: December 24, 2024' },
-    { slug: 'Picturesque_Pierce', cover: '/img/travel/Picturesque_Pierce/', date: 'Date: January 12, 2025' },
-    { slug: 'Random_Nepal', cover: '/img/travel/Random_Nepal/', date: 'Date: Various' },
-    { slug: 'rara-nepal', cover: '/img/travel/rara-nepal/', date: 'Date: October, 2021' }
-  ];
-
-  // Create a map for quick date lookup
-  const ALBUM_DATES = {};
-  FALLBACK_ALBUMS.forEach(({ slug, date }) => {
-    ALBUM_DATES[slug] = date;
-  });
+  function selectBoxHtml(file) {
+    return `<label class="gallery-select"><input type="checkbox" aria-label="Select ${escapeHtml(altText(file))}"></label>`;
+  }
 
-  // Fallback file lists for each album (when API is unavailable)
-  const FALLBACK_FILES = {
-    'Apple_Picking2025': ['IMG_5296.jpg','IMG_5301.jpg','IMG_5303.jpg','IMG_5304.jpg','IMG_5305.jpg','IMG_5306.jpg','IMG_5307.jpg','IMG_5308.jpg','IMG_5309.jpg','IMG_5312.jpg','IMG_5313.jpg','IMG_5323.jpg','IMG_5324.jpg','IMG_5325.jpg','IMG_5329.jpg','IMG_5335.jpg','IMG_5337.jpg','IMG_5338.jpg','IMG_5339.jpg','IMG_5342.HEIC','IMG_5342.jpg','dddd.JPEG'],
-    'MIT-pictures': ['IMG_3210.jpg','IMG_3211.jpg','IMG_3214.jpg','IMG_3217.jpg','IMG_3218.jpg','IMG_3219.jpg','IMG_3220.jpg','IMG_3221.jpg','IMG_3223.jpg','IMG_3224.jpg','IMG_3269.jpg','IMG_3271.jpg','IMG_3341.jpg','IMG_3343.jpg','IMG_3350.jpg','IMG_3358.jpg','IMG_3964.jpg','IMG_3965.jpg','IMG_3967.jpg','IMG_4645.jpg','IMG_4649.jpg','IMG_4650.jpg','IMG_4651.jpg','IMG_4652.jpg','IMG_4656.jpg','IMG_4657.jpg','IMG_4658.jpg','IMG_4674.jpg','IMG_4675.jpg','IMG_4676.jpg','IMG_4677.jpg','IMG_4680.jpg','IMG_4681.jpg','IMG_4683.jpg','IMG_5144.jpg','IMG_5508.jpg','IMG_5576.jpg','IMG_5779.jpg','IMG_5783.jpg','IMG_5784.jpg','IMG_5871.jpg','IMG_5879.jpg','IMG_5890.jpg','IMG_5891.jpg','IMG_6172.jpg','IMG_6460.jpg','IMG_6522.jpg','IMG_6523.jpg','IMG_6524.jpg','IMG_6525.jpg','IMG_6527.jpg','IMG_6611.jpg','IMG_6865.jpg','IMG_6995.jpg','IMG_7003.jpg','IMG_7070.jpg','IMG_7102.jpg','IMG_7103.jpg','IMG_7104.jpg','IMG_7105.jpg','IMG_7106.jpg','IMG_7109.jpg','IMG_7130.jpg','IMG_7996.jpg','IMG_9305.jpg','IMG_9353.jpg','IMG_9656.jpg','IMG_9657.jpg','IMG_9890.jpg','IMG_9911.jpg'],
-    'Boston': ['output-1.jpg','output-2.jpg','output-3.jpg','output-4.jpg','output-5.jpg','output-6.jpg','output-7.jpg','output-9.jpg','output-10.jpg','output-11.jpg','output-12.jpg','output-13.jpg','output-14.jpg','output-15.jpg','output-16.jpg','output-17.jpg','output-18.jpg','output-19.jpg','output-20.jpg','output-21.jpg','output-23.jpg','output-24.jpg','output-25.jpg','output-26.jpg','output-27.jpg','output-28.jpg'],
-    'New_York_2023': ['IMG_1381.jpg','IMG_1382.jpg','IMG_1428.jpg','IMG_1438.jpg','IMG_8168.jpg','IMG_8220.jpg','IMG_8240.jpg','IMG_8428.jpg','IMG_8457.jpg','IMG_8502.jpg','IMG_8503.jpg','IMG_8700.jpg','IMG_9048.jpg'],
-    'Picturesque_Pierce': ['IMG_5088.jpg','IMG_5092.jpg','IMG_5094.jpg','IMG_5098.jpg','IMG_5105.jpg','IMG_5111.jpg','IMG_5121.jpg','IMG_5125.jpg','IMG_5130.jpg','IMG_5131.jpg','IMG_5132.jpg','IMG_5133.jpg','IMG_5134.jpg','IMG_5135.jpg','IMG_5136.jpg','IMG_5137.jpg','IMG_5138.jpg'],
-    'Random_Nepal': ['20181003_175810.jpg','20181004_095622.jpg','20181004_095845.jpg','20181005_081401.jpg','IMG_2933.jpg','IMG_2941.jpg','IMG_3099.jpg','IMG_3106.jpg','IMG_4626.JPG'],
-    'rara-nepal': ['IMG_20211009_134131.jpg','IMG_20211009_134350.jpg','IMG_20211009_154710.jpg','IMG_20211010_100914.jpg','IMG_20211010_101814.jpg','IMG_20211010_103959.jpg','IMG_20211010_114450.jpg','IMG_20211010_115338.jpg','IMG_20211010_115820.jpg','IMG_20211010_120524.jpg','IMG_20211010_132536.jpg','IMG_20211011_091107.jpg','IMG_20211011_101650.jpg','IMG_20211011_144849.jpg','IMG_20211012_120133.jpg','IMG_6861.jpg','IMG_6897.jpg','IMG_6907.jpg','IMG_6963.jpg','IMG_6975.jpg','IMG_6982.jpg','IMG_7031.jpg','IMG_7035.jpg','IMG_7141.jpg','IMG_7216.jpg','IMG_7217.jpg','IMG_7219.jpg','IMG_7270.jpg','IMG_7296.jpg','IMG_7428.jpg','IMG_7432.jpg','IMG_7436.jpg']
-  };
+  // Every original behind an item: the file itself, other stills of the same shot and its Live Photo clip
+  function originalEntries(cfg, slug, file) {
+    const names = [file.name, ...(file.alternates || []), ...(file.live ? [file.live] : [])];
+    return names.map((name) => ({
+      name: `${slug}/${name}`,
+      url: name === file.name && file.download_url ? file.download_url : mediaUrl(cfg, `${slug}/${name}`),
+      date: file.taken
+    }));
+  }
+
+  // Select mode: clicking an item ticks it instead of opening the lightbox; the chosen originals
+  // are fetched one by one into a ZIP (js/album-zip.js) and saved as <slug>.zip
+  function selectionBar(cfg, grid, album, media, renderSignal) {
+    const bar = document.createElement('div');
+    bar.className = 'gallery-selection';
+    const boxes = () => Array.from(grid.querySelectorAll('.gallery-select input'));
+    const chosen = () => boxes().map((box, i) => (box.checked ? media[i] : null)).filter(Boolean);
+    // Every original of the chosen items, from the manifest (bytes) or an API listing (size)
+    const chosenBytes = () => chosen().reduce((sum, file) => sum + (file.bytes || file.size || 0), 0);
+    let selecting = false;
+    let strip = true;
+    let controller = null;
+
+    const draw = (message = '', fraction = 0) => {
+      const count = chosen().length;
+      const all = count === media.length;
+      const bytes = chosenBytes();
+      const tooLarge = bytes > ZIP_MAX_BYTES;
+      grid.classList.toggle('is-selecting', selecting);
+      if (controller && bar.querySelector('progress')) {
+        // Keep the Cancel button (and its focus) while progress comes in
+        bar.querySelector('progress').value = fraction;
+        bar.querySelector('[aria-live]').textContent = message;
+      } else if (controller) {
+        bar.innerHTML = `<progress max="1" value="${fraction}" aria-label="ZIP progress"></progress>
+          <span class="link-muted" aria-live="polite">${message}</span>
+          <button type="button" class="btn btn-sm btn-outline-secondary" data-select="cancel">Cancel</button>`;
+      } else if (selecting) {
+        bar.innerHTML = `<span aria-live="polite">${count} selected${bytes ? ` (${formatBytes(bytes)})` : ''}</span>
+          <button type="button" class="btn btn-sm btn-outline-secondary" data-select="${all ? 'none' : 'all'}">${all ? 'Clear' : 'Select all'}</button>
+          <label class="gallery-selection-strip"><input type="checkbox" data-select="strip"${strip ? ' checked' : ''}> Remove location and camera data</label>
+          <button type="button" class="btn btn-sm btn-primary" data-select="zip"${count && !tooLarge ? '' : ' disabled'}><i class="fas fa-file-archive"></i> Download ZIP</button>
+          <button type="button" class="btn btn-sm btn-outline-secondary" data-select="done">Done</button>
+          ${tooLarge ? `<span class="link-muted" role="status">${zipLimitText()}</span>` : ''}
+          ${message ? `<span class="link-muted" role="status">${message}</span>` : ''}`;
+      } else {
+        bar.innerHTML = `<button type="button" class="btn btn-sm btn-outline-primary" data-select="start"><i class="far fa-check-square"></i> Select</button>`;
+      }
+    };
 
-  async function renderTravelHub(containerSelector) {
+    const download = async () => {
+      const files = chosen();
+      const entries = files.flatMap((file) => originalEntries(cfg, album.slug, file));
+      controller = new AbortController();
+      draw(`Preparing ${files.length} ${files.length === 1 ? 'item' : 'items'}…`);
+      try {
+        await loadScriptOnce(ZIP_WRITER);
+        const zip = await window.AlbumZip.createZip(entries, {
+          strip,
+          maxBytes: ZIP_MAX_BYTES,
+          signal: controller.signal,
+          onProgress: ({ index, count, fraction }) => draw(`Adding ${Math.min(index + 1, count)} of ${count}…`, (index + fraction) / count)
+        });
+        const url = URL.createObjectURL(zip);
+        const link = document.createElement('a');
+        link.href = url;
+        link.download = `${album.slug}.zip`;
+        document.body.appendChild(link);
+        link.click();
+        link.remove();
+        setTimeout(() => URL.revokeObjectURL(url), 60 * 1000); // the download may start after click() returns
+        controller = null;
+        draw(`Downloaded ${formatBytes(zip.size)}.`);
+      } catch (err) {
+        controller = null;
+        if (err.name === 'AbortError') {
+          draw();
+        } else if (err instanceof RangeError) {
+          draw(zipLimitText()); // API listings may not say how big the files are
+        } else {
+          draw('Could not build the ZIP. Check your connection or select fewer items.');
+          console.warn('ZIP download failed', err);
+        }
+      }
+    };
+
+    bar.addEventListener('click', (e) => {
+      const action = e.target.closest('button[data-select]');
+      if (!action) return;
+      const kind = action.dataset.select;
+      if (kind === 'cancel') {
+        controller.abort();
+        return;
+      }
+      if (kind === 'zip') {
+        download();
+        return;
+      }
+      if (kind === 'all' || kind === 'none' || kind === 'done') {
+        boxes().forEach((box) => { box.checked = kind === 'all'; });
+      }
+      selecting = kind !== 'done';
+      draw();
+    });
+    bar.addEventListener('change', (e) => {
+      if (e.target.dataset.select === 'strip') strip = e.target.checked;
+    });
+    // Capture phase, so a click ticks the item before the lightbox or a Live Photo sees it
+    grid.addEventListener('click', (e) => {
+      const item = e.target.closest('.gallery-item');
+      if (!selecting || controller || !item) return;
+      e.stopPropagation();
+      const box = item.querySelector('.gallery-select input');
+      if (e.target !== box) {
+        e.preventDefault();
+        box.checked = !box.checked;
+      }
+      draw();
+    }, true);
+    // Re-rendering or destroying the gallery cancels a download in progress
+    renderSignal.addEventListener('abort', () => { if (controller) controller.abort(); }, { once: true });
+    draw();
+    return bar;
+  }
+
+  function zipLimitText() {
+    return `ZIPs are limited to ${formatBytes(ZIP_MAX_BYTES)}: select fewer items or download them in parts.`;
+  }
+
+  function liveBadgeHtml(file) {
+    return file.live ? '<span class="gallery-live" aria-hidden="true"><i class="far fa-dot-circle"></i> LIVE</span>' : '';
+  }
+
+  const LONG_PRESS_MS = 400;
+
+  // Live Photos: the paired clip plays over the still on hover, or while long-pressed on touch screens
+  function bindLivePhoto(item, src) {
+    let video = null;
+    let timer = 0;
+    let pressed = false;
+    const stop = () => {
+      clearTimeout(timer);
+      timer = 0;
+      if (!video) return;
+      video.pause();
+      video.remove();
+      video = null;
+      item.classList.remove('is-live-playing');
+    };
+    const play = () => {
+      if (video) return;
+      video = document.createElement('video');
+      video.className = 'gallery-live-video';
+      video.muted = true;
+      video.playsInline = true;
+      video.autoplay = true;
+      video.setAttribute('aria-hidden', 'true');
+      video.src = src;
+      video.addEventListener('ended', stop);
+      item.appendChild(video);
+      item.classList.add('is-live-playing');
+    };
+    item.addEventListener('pointerenter', (e) => { if (e.pointerType === 'mouse') play(); });
+    item.addEventListener('pointerleave', stop);
+    item.addEventListener('pointerdown', (e) => {
+      if (e.pointerType === 'mouse') return;
+      pressed = false;
+      timer = setTimeout(() => { pressed = true; play(); }, LONG_PRESS_MS);
+    });
+    item.addEventListener('pointerup', (e) => { if (e.pointerType !== 'mouse') stop(); });
+    item.addEventListener('pointercancel', stop);
+    item.addEventListener('contextmenu', (e) => { if (timer || pressed) e.preventDefault(); });
+    // The tap that ends a long-press should not also open the lightbox
+    item.addEventListener('click', (e) => {
+      if (!pressed) return;
+      pressed = false;
+      e.preventDefault();
+      e.stopPropagation();
+    });
+  }
+
+  // Poster (pre-generated, else grabbed by loadItem), play and duration badges;
+  // formats this browser cannot play open a notice in the lightbox and offer the original
+  function videoTileHtml(cfg, slug, file) {
+    const src = mediaUrl(cfg, `${slug}/${file.name}`);
+    const poster = largeVariantUrl(cfg, slug, file);
+    const playable = canPlayVideo(file);
+    const attrs = [infoAttrs(cfg, file, slug)];
+    if (poster) attrs.push(`data-poster="${poster}"`);
+    if (!playable) attrs.push('data-playable="false"');
+    return `<a href="${escapeHtml(src)}" class="lightbox-link" ${attrs.join(' ')} aria-label="${escapeHtml(altText(file))}">`
+      + `${poster ? pictureHtml(cfg, slug, file) : ''}<span class="gallery-play" aria-hidden="true"><i class="fas fa-play"></i></span></a>`
+      + `${file.duration ? durationBadgeHtml(file.duration) : ''}${playable ? '' : downloadHtml(src)}${captionHtml(file)}`;
+  }
+
+  function durationBadgeHtml(seconds) {
+    return `<span class="gallery-duration" aria-hidden="true">${formatDuration(seconds)}</span>`;
+  }
+
+  function downloadHtml(src) {
+    return `<a href="${escapeHtml(src)}" class="gallery-download" download>Download original</a>`;
+  }
+
+  // A frame a second in (a tenth of the way into shorter clips) drawn to a canvas:
+  // { url, duration } on success, { unsupported } when the browser cannot decode the clip,
+  // { duration } when no frame could be drawn in time
+  function capturePoster(src, signal) {
+    return new Promise((resolve) => {
+      const video = document.createElement('video');
+      let done = false;
+      let timer = 0;
+      const finish = (result) => {
+        if (done) return;
+        done = true;
+        clearTimeout(timer);
+        signal.removeEventListener('abort', onAbort);
+        video.removeAttribute('src');
+        video.load(); // drops the connection
+        resolve(result);
+      };
+      const onAbort = () => finish({});
+      video.muted = true;
+      video.playsInline = true;
+      video.preload = 'auto';
+      video.addEventListener('loadedmetadata', () => {
+        const length = isFinite(video.duration) ? video.duration : 10;
+        video.currentTime = Math.min(1, length / 10);
+      }, { once: true });
+      video.addEventListener('seeked', () => {
+        const duration = isFinite(video.duration) ? video.duration : 0;
+        const scale = Math.min(1, POSTER_DIM / Math.max(video.videoWidth, video.videoHeight));
+        const canvas = document.createElement('canvas');
+        canvas.width = Math.round(video.videoWidth * scale);
+        canvas.height = Math.round(video.videoHeight * scale);
+        if (!canvas.width || !canvas.height) return finish({ duration });
+        try {
+          canvas.getContext('2d').drawImage(video, 0, 0, canvas.width, canvas.height);
+          canvas.toBlob((blob) => finish(blob ? { url: URL.createObjectURL(blob), duration } : { duration }), 'image/webp', 0.8);
+        } catch (err) {
+          finish({ duration }); // cross-origin clip: the canvas cannot be read
+        }
+        return undefined;
+      }, { once: true });
+      video.addEventListener('error', () => finish({ unsupported: true }), { once: true });
+      timer = setTimeout(() => finish({ duration: isFinite(video.duration) ? video.duration : 0 }), POSTER_TIMEOUT);
+      signal.addEventListener('abort', onAbort, { once: true });
+      video.src = src;
+    });
+  }
+
+  function captionHtml(file) {
+    return file.caption ? `<div class="gallery-caption" aria-hidden="true">${escapeHtml(file.caption)}</div>` : '';
+  }
+
+  // Fill one placeholder: originals without variants are downscaled in the browser
+  async function loadItem(cfg, item, file, path, state) {
+    const { signal } = state.controller;
+    const relPath = `${path}/${file.name}`;
+    const src = `${cfg.mediaRoot}/${relPath}`;
+    const link = item.querySelector('a.lightbox-link');
+    if (isVideo(file.name)) {
+      // Playback happens in the lightbox; the tile only needs a still
+      const poster = link.dataset.playable === 'false' ? { unsupported: true } : await capturePoster(src, signal);
+      if (signal.aborted) {
+        if (poster.url) URL.revokeObjectURL(poster.url);
+        return;
+      }
+      if (poster.url) {
+        state.urls.push(poster.url);
+        link.dataset.poster = poster.url;
+        link.insertAdjacentHTML('afterbegin', `<img src="${poster.url}" alt="${escapeHtml(altText(file))}"/>`);
+      } else if (poster.unsupported) {
+        link.dataset.playable = 'false';
+        if (!item.querySelector('.gallery-download')) link.insertAdjacentHTML('afterend', downloadHtml(src));
+      } else {
+        // No frame in time: let the browser show the clip's first frame itself
+        link.insertAdjacentHTML('afterbegin', `<video src="${escapeHtml(src)}#t=0.1" preload="metadata" muted playsinline tabindex="-1"></video>`);
+      }
+      if (!file.duration && poster.duration) {
+        link.dataset.duration = formatDuration(poster.duration);
+        link.insertAdjacentHTML('afterend', durationBadgeHtml(poster.duration));
+      }
+    } else {
+      // Prefer GitHub raw download URL for binary fetch reliability
+      const displayUrl = await buildDisplayUrl(relPath, file.download_url || src, cfg.maxDim, signal);
+      if (!displayUrl) {
+        if (signal.aborted) return;
+        // Undecodable HEIC: a notice on the tile and in the lightbox, and the original to download
+        link.dataset.playable = 'false';
+        link.innerHTML = `<span class="gallery-unavailable"><i class="far fa-image"></i> Preview unavailable</span>`;
+        if (!item.querySelector('.gallery-download')) link.insertAdjacentHTML('afterend', downloadHtml(src));
+      } else {
+        if (displayUrl.startsWith('blob:')) {
+          if (signal.aborted) return URL.revokeObjectURL(displayUrl);
+          state.urls.push(displayUrl);
+        }
+        // Browsers other than Safari cannot show HEIC: the lightbox uses the converted copy
+        if (isHeic(file.name)) link.href = displayUrl;
+        const size = file.width && file.height ? ` width="${file.width}" height="${file.height}"` : '';
+        link.innerHTML = `<img src="${displayUrl}" alt="${escapeHtml(altText(file))}"${size}/>`;
+      }
+    }
+    item.classList.remove('is-pending');
+  }
+
+  async function listAlbums(cfg) {
+    // Manifest albums already carry their cover; the API needs one call per album to find it
+    const manifest = await loadManifest(cfg);
+    if (manifest && Array.isArray(manifest.albums) && manifest.albums.length > 0) {
+      return manifest.albums.map(a => {
+        const cover = a.files.find(f => f.name === a.cover);
+        return { ...a, cover: cover ? thumbUrl(cfg, a.slug, cover) : '' };
+      });
+    }
+    const slugs = await listAlbumSlugs(cfg);
+    const albums = await Promise.all(slugs.map(slug => resolveAlbum(cfg, slug)));
+    return albums.filter(Boolean).map(a => ({ ...a, cover: a.cover ? mediaUrl(cfg, `${a.slug}/${a.cover}`) : '' }));
+  }
+
+  // --- Travel hub: search, filters, sort and year grouping, mirrored in the query string ---
+
+  const HUB_SORTS = { newest: 'Newest first', oldest: 'Oldest first', title: 'A–Z', count: 'Most photos' };
+  const HUB_VIEWS = { grid: 'Grid', years: 'By year' };
+
+  function albumYear(album) {
+    const start = wallClock(album.dates && album.dates.start);
+    return start ? start.slice(0, 4) : '';
+  }
+
+  // ?q=<text>&location=<place>&tags=a,b&sort=oldest&view=years; defaults are left out
+  function readHubState() {
+    const params = new URLSearchParams(location.search);
+    const sort = params.get('sort');
+    const view = params.get('view');
+    return {
+      q: params.get('q') || '',
+      location: params.get('location') || '',
+      tags: (params.get('tags') || '').split(',').filter(Boolean),
+      sort: HUB_SORTS[sort] ? sort : 'newest',
+      view: HUB_VIEWS[view] ? view : 'grid'
+    };
+  }
+
+  function writeHubState(state) {
+    const params = new URLSearchParams(location.search);
+    const set = (key, value, fallback) => (value && value !== fallback ? params.set(key, value) : params.delete(key));
+    set('q', state.q.trim());
+    set('location', state.location);
+    set('tags', state.tags.join(','));
+    set('sort', state.sort, 'newest');
+    set('view', state.view, 'grid');
+    const query = params.toString();
+    history.replaceState(history.state, '', location.pathname + (query ? `?${query}` : '') + location.hash);
+  }
+
+  function filterAlbums(albums, state) {
+    const words = state.q.toLowerCase().split(/\s+/).filter(Boolean);
+    return albums.filter((album) => {
+      if (state.location && album.location !== state.location) return false;
+      const tags = album.tags || [];
+      if (!state.tags.every(t => tags.includes(t))) return false;
+      const text = [albumTitle(album), album.description, album.location, ...tags].filter(Boolean).join(' ').toLowerCase();
+      return words.every(w => text.includes(w));
+    });
+  }
+
+  function sortAlbums(albums, sort) {
+    const byTitle = (a, b) => albumTitle(a).localeCompare(albumTitle(b), undefined, { numeric: true, sensitivity: 'base' });
+    const start = (a) => wallClock(a.dates && a.dates.start);
+    const byDate = (dir) => (a, b) => {
+      if (!start(a) || !start(b)) return start(a) ? -1 : start(b) ? 1 : byTitle(a, b); // undated albums go last
+      return start(a) === start(b) ? byTitle(a, b) : (start(a) < start(b) ? -dir : dir);
+    };
+    const compare = {
+      newest: byDate(-1),
+      oldest: byDate(1),
+      title: byTitle,
+      count: (a, b) => (b.count || b.files.length) - (a.count || a.files.length) || byTitle(a, b)
+    }[sort];
+    return albums.slice().sort(compare);
+  }
+
+  function createTravelCard(cfg, album) {
+    const { slug, cover, dates, description } = album;
+    const card = document.createElement('a');
+    card.className = 'travel-card';
+    card.href = albumUrl(cfg, slug);
+    const range = formatDateRange(dates);
+    card.innerHTML = `
+      <div class="travel-card-media" ${cover ? `style="background-image:url('${cover}')"`  : ''}></div>
+      <div class="travel-card-body">
+        <h4>${escapeHtml(albumTitle(album))}</h4>
+        ${range ? `<span class="link-muted">Date: ${range}</span>` : ''}
+        ${album.location ? `<span class="travel-card-location link-muted"><i class="fas fa-map-marker-alt"></i> ${escapeHtml(album.location)}</span>` : ''}
+        ${description ? `<p class="travel-card-text">${escapeHtml(description)}</p>` : ''}
+      </div>
+    `;
+    return card;
+  }
+
+  function hubToolbarHtml(albums) {
+    const locations = [...new Set(albums.map(a => a.location).filter(Boolean))].sort();
+    const tags = [...new Set(albums.flatMap(a => a.tags || []))].sort();
+    const options = (map) => Object.entries(map).map(([value, label]) => `<option value="${value}">${label}</option>`).join('');
+    return `
+      <div class="travel-hub-controls">
+        <input type="search" class="form-control travel-hub-search" name="q" placeholder="Search albums" aria-label="Search albums">
+        ${locations.length ? `<select class="form-control" name="location" aria-label="Location">
+          <option value="">All locations</option>
+          ${locations.map(l => `<option value="${escapeHtml(l)}">${escapeHtml(l)}</option>`).join('')}
+        </select>` : ''}
+        <select class="form-control" name="sort" aria-label="Sort albums">${options(HUB_SORTS)}</select>
+        <select class="form-control" name="view" aria-label="Layout">${options(HUB_VIEWS)}</select>
+      </div>
+      ${tags.length ? `<div class="album-tags travel-hub-tags" role="group" aria-label="Filter by tag">
+        ${tags.map(t => `<button type="button" class="album-tag" data-tag="${escapeHtml(t)}" aria-pressed="false">${escapeHtml(t)}</button>`).join('')}
+      </div>` : ''}
+      <div class="travel-hub-status link-muted" aria-live="polite"></div>
+    `;
+  }
+
+  async function renderTravelHub(containerSelector, options = {}) {
     const container = document.querySelector(containerSelector);
     if (!container) return;
-    
-    // Try GitHub API first, fallback to hardcoded list
-    let dirs = [];
-    try {
-      const nodes = await listFolder(BASE);
-      dirs = nodes.filter(n => n.type === 'dir');
-      console.log('GitHub API SUCCESS - found dirs:', dirs.map(d => d.name));
-    } catch (err) {
-      console.log('GitHub API error:', err);
-      dirs = [];
+    const cfg = settings(options);
+
+    const albums = await listAlbums(cfg);
+    if (albums.length === 0) {
+      container.innerHTML = apiNoticeHtml() || `<div class="text-center link-muted">No albums found yet. Add a folder under <code>${cfg.base}</code>.</div>`;
+      return;
     }
-    
-    // If no directories found via API, use fallback list
-    if (dirs.length === 0) {
-      console.log('No dirs from API, using fallback album list');
-      const grid = document.createElement('div');
-      grid.className = 'gallery-grid gallery-grid-cards';
-      
-      FALLBACK_ALBUMS.forEach(({ slug, cover, date }) => {
-        const card = document.createElement('a');
-        card.className = 'travel-card';
-        card.href = `/travel/${slug}.html`;
-        console.log('Creating card for:', slug);
-        card.innerHTML = `
-          <div class="travel-card-media" style="background-image:url('${cover}')"></div>
-          <div class="travel-card-body">
-            <h4>${toTitle(slug)}</h4>
-            <span class="link-muted">${date}</span>
-          </div>
-        `;
-        grid.appendChild(card);
+
+    container.innerHTML = apiNoticeHtml();
+    const toolbar = document.createElement('form');
+    toolbar.className = 'travel-hub-toolbar';
+    toolbar.setAttribute('role', 'search');
+    toolbar.innerHTML = hubToolbarHtml(albums);
+    const results = document.createElement('div');
+    container.append(toolbar, results);
+
+    const field = (name) => toolbar.elements.namedItem(name);
+    const status = toolbar.querySelector('.travel-hub-status');
+    let state = readHubState();
+
+    function syncControls() {
+      field('q').value = state.q;
+      if (field('location')) field('location').value = state.location;
+      field('sort').value = state.sort;
+      field('view').value = state.view;
+      toolbar.querySelectorAll('[data-tag]').forEach((b) => {
+        b.setAttribute('aria-pressed', String(state.tags.includes(b.dataset.tag)));
+      });
+    }
+
+    function update() {
+      const shown = sortAlbums(filterAlbums(albums, state), state.sort);
+      status.textContent = shown.length === albums.length ? '' : `${shown.length} of ${albums.length} albums`;
+      results.innerHTML = '';
+      if (shown.length === 0) {
+        results.innerHTML = '<div class="text-center link-muted">No albums match these filters.</div>';
+        return;
+      }
+      if (state.view === 'grid') {
+        const grid = document.createElement('div');
+        grid.className = 'gallery-grid gallery-grid-cards';
+        shown.forEach(a => grid.appendChild(createTravelCard(cfg, a)));
+        results.appendChild(grid);
+        return;
+      }
+      // Year timeline: oldest-first sorting runs the years forwards, everything else newest year first
+      const years = new Map();
+      shown.forEach(a => {
+        const year = albumYear(a);
+        if (!years.has(year)) years.set(year, []);
+        years.get(year).push(a);
       });
-      container.innerHTML = '';
-      container.appendChild(grid);
+      const order = [...years.keys()].sort((a, b) => {
+        if (!a || !b) return a ? -1 : b ? 1 : 0; // undated last
+        return state.sort === 'oldest' ? a.localeCompare(b) : b.localeCompare(a);
+      });
+      order.forEach((year) => {
+        const section = document.createElement('section');
+        section.className = 'travel-hub-year';
+        section.innerHTML = `<h3>${year || 'Undated'}</h3>`;
+        const grid = document.createElement('div');
+        grid.className = 'gallery-grid gallery-grid-cards';
+        years.get(year).forEach(a => grid.appendChild(createTravelCard(cfg, a)));
+        section.appendChild(grid);
+        results.appendChild(section);
+      });
+    }
+
+    toolbar.addEventListener('submit', (e) => e.preventDefault());
+    toolbar.addEventListener('input', (e) => {
+      if (!e.target.name) return;
+      state = { ...state, [e.target.name]: e.target.value };
+      writeHubState(state);
+      update();
+    });
+    toolbar.addEventListener('click', (e) => {
+      const tag = e.target.closest('[data-tag]');
+      if (!tag) return;
+      const name = tag.dataset.tag;
+      state = { ...state, tags: state.tags.includes(name) ? state.tags.filter(t => t !== name) : [...state.tags, name] };
+      writeHubState(state);
+      syncControls();
+      update();
+    });
+    syncControls();
+    update();
+  }
+
+  // --- Album page: one template for every trip ---
+
+  function slugFromUrl() {
+    return new URLSearchParams(location.search).get('album')
+      || new URLSearchParams(location.hash.slice(1)).get('album')
+      || '';
+  }
+
+  function setMeta(name, content) {
+    let meta = document.querySelector(`meta[name="${name}"]`);
+    if (!meta) {
+      meta = document.createElement('meta');
+      meta.name = name;
+      document.head.appendChild(meta);
+    }
+    meta.content = content;
+  }
+
+  // Title, description and hero for #album-title / #album-lead / #album-hero, then the gallery
+  async function renderAlbumPage(containerSelector, albumSlug = slugFromUrl(), options = {}) {
+    const container = document.querySelector(containerSelector);
+    if (!container) return;
+    const cfg = settings(options);
+    const heading = document.getElementById('album-title');
+    const lead = document.getElementById('album-lead');
+    const hero = document.getElementById('album-hero');
+
+    const album = albumSlug ? await resolveAlbum(cfg, albumSlug) : null;
+    if (!album && apiStatus.unavailable) {
+      // Not a missing album, just an unanswered listing: keep the page indexable
+      container.innerHTML = apiNoticeHtml();
       return;
     }
-    const grid = document.createElement('div');
-    grid.className = 'gallery-grid gallery-grid-cards';
+    if (!album) {
+      document.title = `Album not found • ${SITE_TITLE}`;
+      setMeta('robots', 'noindex');
+      if (heading) heading.textContent = 'Album not found';
+      if (lead) lead.textContent = '';
+      container.innerHTML = `<div class="album-missing text-center">
+        <p>${albumSlug ? `There is no album called <code>${escapeHtml(albumSlug)}</code>.` : 'No album was given in the link.'}</p>
+        <a href="/travel.html"><i class="fas fa-arrow-left"></i> Browse all albums</a>
+      </div>`;
+      return;
+    }
+
+    const title = albumTitle(album);
+    document.title = `${title} • ${SITE_TITLE}`;
+    setMeta('description', album.description || `Photos and videos from ${title}.`);
+    if (heading) heading.textContent = title;
+    if (lead) lead.textContent = formatDateRange(album.dates);
+    const cover = album.files.find(f => f.name === album.cover);
+    if (hero && cover) {
+      const src = largeVariantUrl(cfg, album.slug, cover) || mediaUrl(cfg, `${album.slug}/${cover.name}`);
+      hero.style.backgroundImage = `url("${src}")`;
+      hero.classList.add('has-cover');
+    }
+    renderOfflineControl(cfg, container, album);
+    return renderAlbumGallery(containerSelector, album.slug, options);
+  }
+
+  // --- Save for offline: one Cache Storage cache per album, read by sw.js ---
+  const SAVED_PREFIX = 'album-'; // mirrors sw.js
+  const SAVED_KEY = 'travel-gallery:saved'; // slug -> { bytes, count, savedAt }
+  const MAX_SAVED_BYTES = 500 * 1024 * 1024; // older saved albums are evicted past this
+
+  function formatBytes(bytes) {
+    if (bytes >= 1024 * 1024 * 1024) return `${Number((bytes / (1024 * 1024 * 1024)).toFixed(1))} GB`;
+    if (bytes < 1024 * 1024) return `${Math.max(1, Math.round(bytes / 1024))} KB`;
+    return `${(bytes / (1024 * 1024)).toFixed(bytes < 10 * 1024 * 1024 ? 1 : 0)} MB`;
+  }
+
+  function readSaved() {
+    try {
+      return JSON.parse(localStorage.getItem(SAVED_KEY)) || {};
+    } catch (err) {
+      return {};
+    }
+  }
 
-    // For each dir, attempt to find a cover image by fetching the folder and picking the first image
-    const cards = await Promise.all(dirs.map(async d => {
-      const slug = d.name;
-      let cover = '';
+  function writeSaved(saved) {
+    try {
+      localStorage.setItem(SAVED_KEY, JSON.stringify(saved));
+    } catch (err) {
+      // the caches still work; only the size accounting is lost
+    }
+  }
+
+  // Everything the album page needs offline: the page, its listings and one copy of each item
+  function offlineUrls(cfg, album) {
+    const dir = mediaUrl(cfg, album.slug);
+    const urls = [location.pathname + location.search, mediaUrl(cfg, 'albums.json'), `${dir}/album.json`];
+    album.files.forEach((file) => {
+      urls.push(thumbUrl(cfg, album.slug, file));
+      const large = largeVariantUrl(cfg, album.slug, file);
+      if (large) urls.push(large); // the lightbox copy; sw.js serves it for any missing size
+      if (file.live) urls.push(`${dir}/${file.live}`);
+      if (isVideo(file.name)) urls.push(`${dir}/${file.name}`); // thumbUrl is its poster
+      if (isHeic(file.name) && !large) urls.push(HEIF_DECODER);
+    });
+    return [...new Set(urls)];
+  }
+
+  async function removeSavedAlbum(slug) {
+    await caches.delete(SAVED_PREFIX + slug);
+    const saved = readSaved();
+    delete saved[slug];
+    writeSaved(saved);
+  }
+
+  // Oldest saved albums go first; returns false when nothing else can be removed
+  async function evictSaved(keep, limit) {
+    const saved = readSaved();
+    const others = Object.keys(saved).filter(s => s !== keep).sort((a, b) => saved[a].savedAt - saved[b].savedAt);
+    let total = Object.values(saved).reduce((sum, a) => sum + a.bytes, 0);
+    if (total <= limit || others.length === 0) return false;
+    while (total > limit && others.length) {
+      const slug = others.shift();
+      total -= saved[slug].bytes;
+      await removeSavedAlbum(slug);
+    }
+    return true;
+  }
+
+  async function saveAlbum(cfg, album, onProgress, signal) {
+    const cache = await caches.open(SAVED_PREFIX + album.slug);
+    const urls = offlineUrls(cfg, album);
+    let bytes = 0;
+    let done = 0;
+    let next = 0;
+    let error = null;
+    // The first failure stops the other workers too, so nothing is cached after the cleanup
+    const controller = new AbortController();
+    const stop = () => controller.abort();
+    if (signal.aborted) stop();
+    signal.addEventListener('abort', stop, { once: true });
+    const saveOne = async (url) => {
+      const res = await fetch(url, { signal: controller.signal });
+      if (!res.ok) {
+        if (url.endsWith('album.json')) return; // sidecars are optional
+        throw new Error(`Fetch error ${res.status} for ${url}`);
+      }
+      const blob = await res.clone().blob();
+      if (controller.signal.aborted) return;
       try {
-        const files = await listFolder(`${BASE}/${slug}`);
-        const img = files.find(f => f.type === 'file' && isImage(f.name));
-        if (img) cover = `/${BASE}/${slug}/${img.name}`;
-      } catch {}
-      return { slug, cover };
+        await cache.put(url, res);
+      } catch (err) {
+        // Out of space: make room from other saved albums once, then give up
+        if (err.name !== 'QuotaExceededError' || !(await evictSaved(album.slug, 0))) throw err;
+        await cache.put(url, new Response(blob, { headers: res.headers }));
+      }
+      bytes += blob.size;
+      onProgress(++done, urls.length);
+    };
+    const worker = async () => {
+      try {
+        while (next < urls.length && !controller.signal.aborted) await saveOne(urls[next++]);
+      } catch (err) {
+        if (!error) error = err;
+        stop();
+      }
+    };
+    await Promise.all(Array.from({ length: MAX_CONCURRENT }, worker));
+    signal.removeEventListener('abort', stop);
+    if (error || controller.signal.aborted) {
+      await caches.delete(SAVED_PREFIX + album.slug);
+      throw error || new DOMException('Saving cancelled', 'AbortError');
+    }
+    const saved = readSaved();
+    saved[album.slug] = { bytes, count: album.files.length, savedAt: Date.now() };
+    writeSaved(saved);
+    await evictSaved(album.slug, MAX_SAVED_BYTES);
+    // Ask the browser not to clear saved albums under storage pressure
+    if (navigator.storage && navigator.storage.persist) navigator.storage.persist().catch(() => {});
+  }
+
+  function renderOfflineControl(cfg, container, album) {
+    if (!('caches' in window) || !('serviceWorker' in navigator)) return;
+    let bar = container.previousElementSibling;
+    if (!bar || !bar.classList.contains('album-offline')) {
+      bar = document.createElement('div');
+      bar.className = 'album-offline';
+      container.before(bar);
+    }
+    let controller = null;
+
+    const draw = (message) => {
+      const saved = readSaved();
+      const entry = saved[album.slug];
+      const total = Object.values(saved).reduce((sum, a) => sum + a.bytes, 0);
+      const others = Object.keys(saved).length - (entry ? 1 : 0);
+      const summary = others ? ` Saved albums use ${formatBytes(total)} in total.` : '';
+      if (controller) {
+        bar.innerHTML = `<span class="link-muted" aria-live="polite">${message}</span>
+          <button type="button" class="btn btn-sm btn-outline-secondary" data-offline="cancel">Cancel</button>`;
+      } else if (entry) {
+        bar.innerHTML = `<span class="link-muted"><i class="fas fa-check-circle"></i> Saved for offline (${formatBytes(entry.bytes)}).${summary}</span>
+          <button type="button" class="btn btn-sm btn-outline-secondary" data-offline="remove">Remove</button>`;
+      } else {
+        bar.innerHTML = `<button type="button" class="btn btn-sm btn-outline-primary" data-offline="save"><i class="fas fa-download"></i> Save for offline</button>
+          ${message ? `<span class="link-muted" role="status">${message}</span>` : ''}`;
+      }
+    };
+
+    bar.onclick = async (e) => {
+      const action = e.target.closest('[data-offline]');
+      if (!action) return;
+      if (action.dataset.offline === 'cancel') {
+        controller.abort();
+        return;
+      }
+      if (action.dataset.offline === 'remove') {
+        await removeSavedAlbum(album.slug);
+        draw('');
+        return;
+      }
+      controller = new AbortController();
+      draw('Saving…');
+      try {
+        await saveAlbum(cfg, album, (done, total) => draw(`Saving… ${done} of ${total}`), controller.signal);
+        controller = null;
+        draw('');
+      } catch (err) {
+        controller = null;
+        draw(err.name === 'AbortError' ? '' : 'Could not save this album. Check your connection and free space.');
+        if (err.name !== 'AbortError') console.warn('Saving album failed', err);
+      }
+    };
+    draw('');
+  }
+
+  // --- Travel map: geotagged photos on bundled outlines, no tile server ---
+  const SVG_NS = 'http://www.w3.org/2000/svg';
+  const CLUSTER_PX = 28; // markers closer than this on screen merge
+  const MAX_ZOOM = 64;
+
+  function svgEl(tag, attrs = {}) {
+    const el = document.createElementNS(SVG_NS, tag);
+    Object.entries(attrs).forEach(([k, v]) => el.setAttribute(k, v));
+    return el;
+  }
+
+  // Equirectangular projection: x = longitude, y = -latitude
+  function geometryToPath(geometry) {
+    const polygons = geometry.type === 'Polygon' ? [geometry.coordinates]
+      : geometry.type === 'MultiPolygon' ? geometry.coordinates : [];
+    return polygons
+      .map(rings => rings.map(ring => 'M' + ring.map(([x, y]) => `${x},${-y}`).join('L') + 'Z').join(''))
+      .join('');
+  }
+
+  function clusterPoints(points, radius) {
+    // Greedy clustering; photos only ever share a marker with their own album
+    const clusters = [];
+    points.forEach(p => {
+      const near = clusters.find(c => c.slug === p.slug && Math.hypot(c.lon - p.lon, c.lat - p.lat) <= radius);
+      if (near) {
+        near.photos.push(p);
+        near.lon += (p.lon - near.lon) / near.photos.length;
+        near.lat += (p.lat - near.lat) / near.photos.length;
+      } else {
+        clusters.push({ slug: p.slug, lon: p.lon, lat: p.lat, photos: [p] });
+      }
+    });
+    return clusters;
+  }
+
+  async function loadWorld() {
+    try {
+      const res = await fetch(WORLD);
+      return res.ok ? await res.json() : null;
+    } catch (err) {
+      console.warn('World outlines unavailable', err);
+      return null;
+    }
+  }
+
+  async function renderTravelMap(containerSelector, options = {}) {
+    const container = document.querySelector(containerSelector);
+    if (!container) return;
+    const cfg = settings(options);
+
+    const [manifest, world] = await Promise.all([loadManifest(cfg), loadWorld()]);
+    const albums = manifest && Array.isArray(manifest.albums) ? manifest.albums : [];
+    const points = [];
+    albums.forEach(a => sortByCapture(a.files).forEach(file => {
+      if (file.gps) points.push({ slug: a.slug, file, lon: file.gps.lon, lat: file.gps.lat });
     }));
+    if (points.length === 0) {
+      container.innerHTML = '<div class="text-center link-muted">No geotagged photos yet.</div>';
+      return;
+    }
 
-    cards.forEach(({ slug, cover }) => {
-      const card = document.createElement('a');
-      card.className = 'travel-card';
-      card.href = `/travel/${slug}.html`;
-      const date = ALBUM_DATES[slug] || 'Date: .......';
-      card.innerHTML = `
-        <div class="travel-card-media" ${cover ? `style="background-image:url('${cover}')"`  : ''}></div>
-        <div class="travel-card-body">
-          <h4>${toTitle(slug)}</h4>
-          <span class="link-muted">${date}</span>
-        </div>
-      `;
-      grid.appendChild(card);
+    const colors = {};
+    const titles = {};
+    albums.forEach((a, i) => {
+      colors[a.slug] = `hsl(${(185 + Math.round(i * 360 / albums.length)) % 360}, 85%, 55%)`;
+      titles[a.slug] = escapeHtml(albumTitle(a));
     });
+
+    const svg = svgEl('svg', { class: 'travel-map-svg', role: 'img', 'aria-label': 'Map of geotagged travel photos' });
+    const land = svgEl('g', { class: 'travel-map-land' });
+    const markers = svgEl('g', { class: 'travel-map-markers' });
+    (world ? world.features : []).forEach(f => {
+      const path = svgEl('path', { d: geometryToPath(f.geometry), 'vector-effect': 'non-scaling-stroke' });
+      const title = svgEl('title');
+      title.textContent = f.properties && f.properties.name || '';
+      path.appendChild(title);
+      land.appendChild(path);
+    });
+    svg.append(land, markers);
+
+    const controls = document.createElement('div');
+    controls.className = 'travel-map-controls';
+    controls.innerHTML = `
+      <button type="button" data-zoom="in" aria-label="Zoom in"><i class="fas fa-plus"></i></button>
+      <button type="button" data-zoom="out" aria-label="Zoom out"><i class="fas fa-minus"></i></button>
+      <button type="button" data-zoom="fit" aria-label="Show all photos"><i class="fas fa-expand"></i></button>
+    `;
+
+    const legend = document.createElement('ul');
+    legend.className = 'travel-map-legend';
+    albums.filter(a => points.some(p => p.slug === a.slug)).forEach(a => {
+      const li = document.createElement('li');
+      li.innerHTML = `<span class="travel-map-swatch" style="background:${colors[a.slug]}"></span><a href="${albumUrl(cfg, a.slug)}">${titles[a.slug]}</a>`;
+      legend.appendChild(li);
+    });
+
+    // The lightbox walks the links of one .gallery-grid: this hidden one holds the chosen marker's photos
+    const sequence = document.createElement('div');
+    sequence.className = 'gallery-grid';
+    sequence.hidden = true;
+
+    const stage = document.createElement('div');
+    stage.className = 'travel-map';
+    stage.append(svg, controls);
     container.innerHTML = '';
-    container.appendChild(grid);
+    container.append(stage, legend, sequence);
+
+    // View: center in degrees plus zoom; the viewBox is derived from it
+    const view = { lon: 0, lat: 0, zoom: 1 };
+    const degPerPx = () => 360 / view.zoom / (svg.clientWidth || 720);
+
+    function fitPoints() {
+      const lons = points.map(p => p.lon);
+      const lats = points.map(p => p.lat);
+      const [w, e, s, n] = [Math.min(...lons), Math.max(...lons), Math.min(...lats), Math.max(...lats)];
+      view.lon = (w + e) / 2;
+      view.lat = (s + n) / 2;
+      view.zoom = Math.max(1, Math.min(8, 360 / ((e - w) * 1.4 + 20), 180 / ((n - s) * 1.4 + 10)));
+    }
+
+    function applyView() {
+      view.zoom = Math.max(1, Math.min(MAX_ZOOM, view.zoom));
+      view.lon = Math.max(-180, Math.min(180, view.lon));
+      view.lat = Math.max(-90, Math.min(90, view.lat));
+      const w = 360 / view.zoom;
+      const h = 180 / view.zoom;
+      svg.setAttribute('viewBox', `${view.lon - w / 2} ${-view.lat - h / 2} ${w} ${h}`);
+      drawMarkers();
+    }
+
+    function drawMarkers() {
+      const unit = degPerPx();
+      markers.innerHTML = '';
+      clusterPoints(points, CLUSTER_PX * unit).forEach(c => {
+        const count = c.photos.length;
+        const label = `${albumTitle(albums.find(a => a.slug === c.slug))}: ${count} photo${count === 1 ? '' : 's'}`;
+        const g = svgEl('g', { class: 'travel-map-cluster', tabindex: '0', role: 'button', 'aria-label': label });
+        g.appendChild(svgEl('circle', {
+          cx: c.lon, cy: -c.lat, r: (7 + 3 * Math.sqrt(count)) * unit,
+          fill: colors[c.slug], 'vector-effect': 'non-scaling-stroke'
+        }));
+        if (count > 1) {
+          const text = svgEl('text', { x: c.lon, y: -c.lat, 'font-size': 11 * unit, 'text-anchor': 'middle', 'dominant-baseline': 'central' });
+          text.textContent = count;
+          g.appendChild(text);
+        }
+        const title = svgEl('title');
+        title.textContent = label;
+        g.appendChild(title);
+        g.addEventListener('click', () => { if (!dragged) openCluster(c, g); });
+        g.addEventListener('keydown', (e) => {
+          if (e.key === 'Enter' || e.key === ' ') { e.preventDefault(); openCluster(c, g); }
+        });
+        markers.appendChild(g);
+      });
+    }
+
+    // A marker opens the lightbox on its own photos, in capture order; closing it returns to the marker
+    function openCluster(cluster, marker) {
+      const { slug, photos } = cluster;
+      sequence.innerHTML = photos.map(({ file }) => {
+        const href = largeVariantUrl(cfg, slug, file) || mediaUrl(cfg, `${slug}/${file.name}`);
+        return `<a href="${escapeHtml(href)}" class="lightbox-link" ${infoAttrs(cfg, file, slug)}></a>`;
+      }).join('');
+      window.TravelGallery.lightbox.open(sequence.querySelector('a.lightbox-link'), {
+        scope: container,
+        onClose: () => { if (document.contains(marker)) marker.focus(); }
+      });
+    }
+
+    // Zoom around a point given in client pixels
+    function zoomAt(factor, clientX, clientY) {
+      const rect = svg.getBoundingClientRect();
+      const unit = degPerPx();
+      const lon = view.lon + (clientX - rect.left - rect.width / 2) * unit;
+      const lat = view.lat - (clientY - rect.top - rect.height / 2) * unit;
+      const zoom = Math.max(1, Math.min(MAX_ZOOM, view.zoom * factor));
+      const k = view.zoom / zoom;
+      view.lon = lon - (lon - view.lon) * k;
+      view.lat = lat - (lat - view.lat) * k;
+      view.zoom = zoom;
+      applyView();
+    }
+
+    // The wheel scrolls the page unless Ctrl/Cmd is held or the map was clicked or focused
+    // (until the pointer or focus leaves it)
+    const hint = document.createElement('div');
+    hint.className = 'travel-map-hint';
+    hint.textContent = 'Hold Ctrl (⌘ on Mac) and scroll to zoom, or click the map first';
+    hint.hidden = true;
+    stage.appendChild(hint);
+    let engaged = false;
+    let hintTimer = null;
+    stage.addEventListener('pointerdown', () => { engaged = true; hint.hidden = true; });
+    stage.addEventListener('focusin', () => { engaged = true; });
+    stage.addEventListener('pointerleave', () => { engaged = stage.contains(document.activeElement); });
+    stage.addEventListener('focusout', (e) => { if (!stage.contains(e.relatedTarget)) engaged = false; });
+
+    svg.addEventListener('wheel', (e) => {
+      if (!engaged && !e.ctrlKey && !e.metaKey) {
+        hint.hidden = false;
+        clearTimeout(hintTimer);
+        hintTimer = setTimeout(() => { hint.hidden = true; }, 1500);
+        return;
+      }
+      e.preventDefault();
+      zoomAt(e.deltaY < 0 ? 1.25 : 0.8, e.clientX, e.clientY);
+    }, { passive: false });
+
+    // Drag to pan; a drag that moved is not a click on a marker
+    let drag = null;
+    let dragged = false;
+    svg.addEventListener('pointerdown', (e) => {
+      drag = { x: e.clientX, y: e.clientY, lon: view.lon, lat: view.lat };
+      dragged = false;
+    });
+    svg.addEventListener('pointermove', (e) => {
+      if (!drag) return;
+      const dx = e.clientX - drag.x;
+      const dy = e.clientY - drag.y;
+      if (!dragged && Math.hypot(dx, dy) < 4) return;
+      if (!dragged) svg.setPointerCapture(e.pointerId);
+      dragged = true;
+      const unit = degPerPx();
+      view.lon = drag.lon - dx * unit;
+      view.lat = drag.lat + dy * unit;
+      applyView();
+    });
+    const endDrag = () => { drag = null; };
+    svg.addEventListener('pointerup', endDrag);
+    svg.addEventListener('pointercancel', endDrag);
+    svg.addEventListener('dblclick', (e) => zoomAt(2, e.clientX, e.clientY));
+
+    controls.addEventListener('click', (e) => {
+      const btn = e.target.closest('button[data-zoom]');
+      if (!btn) return;
+      if (btn.dataset.zoom === 'fit') {
+        fitPoints();
+        applyView();
+        return;
+      }
+      const rect = svg.getBoundingClientRect();
+      zoomAt(btn.dataset.zoom === 'in' ? 2 : 0.5, rect.left + rect.width / 2, rect.top + rect.height / 2);
+    });
+
+    // Marker sizes are in screen pixels: redraw when the map is resized
+    if ('ResizeObserver' in window) new ResizeObserver(() => drawMarkers()).observe(svg);
+
+    fitPoints();
+    applyView();
   }
 
-  // Expose globals
-  window.TravelGallery = { renderAlbumGallery, renderTravelHub };
+  // Expose globals (js/travel-gallery.mjs re-exports them as an ES module)
+  window.TravelGallery = { init, renderAlbumGallery, renderAlbumPage, renderTravelHub, renderTravelMap };
+  // scripts/test-github-api.js sets this to drive the API client without a DOM
+  if (window.TRAVEL_GALLERY_TEST) {
+    window.TravelGallery.testing = { listAlbums: (options = {}) => listAlbums(settings(options)), apiNoticeHtml };
+  }
 })();
 
-// Enhanced lightbox viewer with navigation
+// Lightbox: accessible dialog over a gallery's photos and videos
+// - Keyboard, buttons, swipe; pinch, wheel or double-tap zoom with panning
+// - Preloads neighbours; builds its DOM on open and removes it (and its listeners) on close
+// - Slideshow with crossfade and fullscreen; album pages keep #photo=<name> in the URL
+// - Opened by each gallery for its own links (TravelGallery.lightbox), one at a time
 (function(){
-  let currentIndex = 0;
-  let imageUrls = [];
+  if (!window.TravelGallery || window.TravelGallery.lightbox) return;
+  const SWIPE_PX = 50; // horizontal travel that counts as a swipe
+  const CLOSE_PX = 120; // downward swipe that closes at normal zoom
+  const MAX_SCALE = 4;
+  const DOUBLE_TAP_MS = 300;
+  const FOCUSABLE = 'button, select, [href], video[controls], [tabindex]:not([tabindex="-1"])';
+  const FADE_MS = 400; // crossfade between items, matches .lb-media in styles.css
+  const INTERVALS = [3, 5, 8, 12]; // slideshow seconds offered in the toolbar
+  const DEFAULT_INTERVAL = 5;
   
-  function createLightbox(){
-    if (document.getElementById('lb-overlay')) return;
-    
+  let lb = null; // DOM and state of the open lightbox
+  let infoOpen = false;
+  
+  function button(className, label, html) {
+    const btn = document.createElement('button');
+    btn.type = 'button';
+    btn.className = className;
+    btn.setAttribute('aria-label', label);
+    btn.title = label;
+    btn.innerHTML = html;
+    return btn;
+  }
+  
+  function createLightbox() {
     const overlay = document.createElement('div');
     overlay.id = 'lb-overlay';
-    overlay.style.cssText = 'position:fixed;inset:0;background:rgba(0,0,0,0.9);display:none;align-items:center;justify-content:center;z-index:9999;';
+    overlay.className = 'lb-overlay';
+    overlay.setAttribute('role', 'dialog');
+    overlay.setAttribute('aria-modal', 'true');
+    overlay.setAttribute('aria-label', 'Media viewer');
     
-    const container = document.createElement('div');
-    container.style.cssText = 'position:relative;max-width:90vw;max-height:90vh;display:flex;align-items:center;justify-content:center;';
+    const stage = document.createElement('div');
+    stage.className = 'lb-stage';
     
-    const img = document.createElement('img');
-    img.id = 'lb-image';
-    img.style.cssText = 'max-width:100%;max-height:90vh;box-shadow:0 10px 40px rgba(0,229,255,0.3);border-radius:8px;user-select:none;';
+    const prevBtn = button('lb-btn lb-prev', 'Previous', '&#8249;');
+    const nextBtn = button('lb-btn lb-next', 'Next', '&#8250;');
+    const closeBtn = button('lb-btn lb-close', 'Close', '&times;');
+    const infoBtn = button('lb-btn lb-info-toggle', 'Photo info (i)', '<i class="fas fa-info"></i>');
+    infoBtn.setAttribute('aria-pressed', String(infoOpen));
     
-    // Previous button
-    const prevBtn = document.createElement('button');
-    prevBtn.id = 'lb-prev';
-    prevBtn.innerHTML = '&#8249;';
-    prevBtn.style.cssText = 'position:absolute;left:-60px;top:50%;transform:translateY(-50%);background:rgba(255,255,255,0.9);border:none;width:50px;height:50px;border-radius:50%;font-size:30px;cursor:pointer;transition:all 0.3s;color:#333;display:flex;align-items:center;justify-content:center;';
-    prevBtn.onmouseover = () => prevBtn.style.background = 'rgba(255,255,255,1)';
-    prevBtn.onmouseout = () => prevBtn.style.background = 'rgba(255,255,255,0.9)';
+    // Slideshow toolbar: play/pause, interval, fullscreen
+    const toolbar = document.createElement('div');
+    toolbar.className = 'lb-toolbar';
+    const playBtn = button('lb-btn lb-play', 'Play slideshow (space)', '<i class="fas fa-play"></i>');
+    playBtn.setAttribute('aria-pressed', 'false');
+    const intervalSelect = document.createElement('select');
+    intervalSelect.className = 'lb-interval';
+    intervalSelect.setAttribute('aria-label', 'Slideshow interval');
+    intervalSelect.innerHTML = INTERVALS.map(n => `<option value="${n}">${n}s</option>`).join('');
+    const fullscreenBtn = button('lb-btn lb-fullscreen', 'Fullscreen (f)', '<i class="fas fa-expand"></i>');
+    fullscreenBtn.hidden = !document.fullscreenEnabled;
+    const liveBtn = button('lb-btn lb-live', 'Play Live Photo (l)', '<i class="far fa-dot-circle"></i>');
+    liveBtn.setAttribute('aria-pressed', 'false');
+    toolbar.append(playBtn, intervalSelect, fullscreenBtn, liveBtn);
     
-    // Next button
-    const nextBtn = document.createElement('button');
-    nextBtn.id = 'lb-next';
-    nextBtn.innerHTML = '&#8250;';
-    nextBtn.style.cssText = 'position:absolute;right:-60px;top:50%;transform:translateY(-50%);background:rgba(255,255,255,0.9);border:none;width:50px;height:50px;border-radius:50%;font-size:30px;cursor:pointer;transition:all 0.3s;color:#333;display:flex;align-items:center;justify-content:center;';
-    nextBtn.onmouseover = () => nextBtn.style.background = 'rgba(255,255,255,1)';
-    nextBtn.onmouseout = () => nextBtn.style.background = 'rgba(255,255,255,0.9)';
-    
-    // Counter
     const counter = document.createElement('div');
-    counter.id = 'lb-counter';
-    counter.style.cssText = 'position:absolute;bottom:-40px;left:50%;transform:translateX(-50%);color:#fff;font-size:14px;';
+    counter.className = 'lb-counter';
+    counter.setAttribute('aria-live', 'polite');
     
-    container.appendChild(img);
-    container.appendChild(prevBtn);
-    container.appendChild(nextBtn);
-    container.appendChild(counter);
-    overlay.appendChild(container);
+    const caption = document.createElement('div');
+    caption.className = 'lb-caption';
     
-    // Event listeners
-    prevBtn.addEventListener('click', (e) => {
-      e.stopPropagation();
-      navigate(-1);
-    });
+    const info = document.createElement('div');
+    info.id = 'lb-info';
+    info.className = 'lb-info';
+    info.hidden = true;
     
-    nextBtn.addEventListener('click', (e) => {
-      e.stopPropagation();
-      navigate(1);
-    });
+    overlay.append(stage, prevBtn, nextBtn, toolbar, closeBtn, infoBtn, caption, counter, info);
     
-    // Click on overlay background to close
+    prevBtn.addEventListener('click', () => navigate(-1));
+    nextBtn.addEventListener('click', () => navigate(1));
+    closeBtn.addEventListener('click', () => closeLightbox());
+    infoBtn.addEventListener('click', toggleInfo);
+    playBtn.addEventListener('click', () => setPlaying(!lb.playing));
+    fullscreenBtn.addEventListener('click', toggleFullscreen);
+    liveBtn.addEventListener('click', () => (lb.live ? stopLive() : playLive()));
+    intervalSelect.addEventListener('change', () => setSlideInterval(Number(intervalSelect.value)));
+    // Click on the backdrop (not the media) closes
     overlay.addEventListener('click', (e) => {
-      if (e.target === overlay) closeLightbox();
+      if (e.target === overlay || e.target === stage) closeLightbox();
     });
-    
-    // Keyboard navigation
-    document.addEventListener('keydown', handleKeyboard);
+    bindGestures(stage);
     
     document.body.appendChild(overlay);
+    return {
+      overlay, stage, caption, counter, info, infoBtn, playBtn, intervalSelect, fullscreenBtn, liveBtn,
+      media: null, live: null, zoom: { scale: 1, x: 0, y: 0 },
+      playing: false, interval: DEFAULT_INTERVAL * 1000, timer: null
+    };
   }
   
-  function handleKeyboard(e) {
-    const overlay = document.getElementById('lb-overlay');
-    if (!overlay || overlay.style.display === 'none') return;
-    
+  function onKeydown(e) {
+    if (!lb) return;
+    if (e.key === 'Tab') return trapFocus(e);
+    if (e.target.tagName === 'VIDEO' && (e.key === 'ArrowLeft' || e.key === 'ArrowRight' || e.key === ' ')) return; // seeking/playing
+    if (e.target.tagName === 'SELECT' && e.key !== 'Escape') return;
+    if (e.target.tagName === 'BUTTON' && (e.key === ' ' || e.key === 'Enter')) return; // activate the button
     if (e.key === 'Escape') closeLightbox();
     else if (e.key === 'ArrowLeft') navigate(-1);
     else if (e.key === 'ArrowRight') navigate(1);
+    else if (e.key === 'i') toggleInfo();
+    else if (e.key === ' ') setPlaying(!lb.playing);
+    else if (e.key === 'f') toggleFullscreen();
+    else if (e.key === 'l' && lb.items[lb.index].live) (lb.live ? stopLive() : playLive());
+    else if (e.key === '+' || e.key === '=') zoomBy(1.5);
+    else if (e.key === '-') zoomBy(1 / 1.5);
+    else if (e.key === '0') setZoom(1, 0, 0);
+    else return;
+    e.preventDefault();
   }
   
-  function navigate(direction) {
-    currentIndex += direction;
-    if (currentIndex < 0) currentIndex = imageUrls.length - 1;
-    if (currentIndex >= imageUrls.length) currentIndex = 0;
-    showImage(currentIndex);
+  function trapFocus(e) {
+    const nodes = Array.from(lb.overlay.querySelectorAll(FOCUSABLE)).filter(n => !n.hidden && n.offsetParent !== null);
+    if (nodes.length === 0) return;
+    const first = nodes[0];
+    const last = nodes[nodes.length - 1];
+    if (e.shiftKey && (document.activeElement === first || !lb.overlay.contains(document.activeElement))) {
+      e.preventDefault();
+      last.focus();
+    } else if (!e.shiftKey && document.activeElement === last) {
+      e.preventDefault();
+      first.focus();
+    }
   }
   
-  function showImage(index) {
-    const img = document.getElementById('lb-image');
-    const counter = document.getElementById('lb-counter');
-    img.src = imageUrls[index];
-    counter.textContent = `${index + 1} / ${imageUrls.length}`;
-  }
+  // --- Zoom and pan (images only) ---
   
-  function openLightbox(url, allUrls) {
-    createLightbox();
-    imageUrls = allUrls;
-    currentIndex = allUrls.indexOf(url);
-    if (currentIndex === -1) currentIndex = 0;
-    
-    const overlay = document.getElementById('lb-overlay');
-    overlay.style.display = 'flex';
-    showImage(currentIndex);
+  function setZoom(scale, x, y) {
+    const z = lb.zoom;
+    z.scale = Math.max(1, Math.min(MAX_SCALE, scale));
+    // Keep the image covering the stage: pan at most half the overflow each way
+    const img = lb.media;
+    const maxX = img ? (img.offsetWidth * (z.scale - 1)) / 2 : 0;
+    const maxY = img ? (img.offsetHeight * (z.scale - 1)) / 2 : 0;
+    z.x = z.scale === 1 ? 0 : Math.max(-maxX, Math.min(maxX, x));
+    z.y = z.scale === 1 ? 0 : Math.max(-maxY, Math.min(maxY, y));
+    if (img && img.tagName === 'IMG') {
+      img.style.transform = `translate(${z.x}px, ${z.y}px) scale(${z.scale})`;
+      img.classList.toggle('is-zoomed', z.scale > 1);
+    }
   }
   
-  function closeLightbox() {
-    const overlay = document.getElementById('lb-overlay');
-    overlay.style.display = 'none';
+  // Zoom keeping the point (clientX, clientY) under the finger/cursor
+  function zoomBy(factor, clientX, clientY) {
+    if (!lb.media || lb.media.tagName !== 'IMG') return;
+    const z = lb.zoom;
+    const rect = lb.stage.getBoundingClientRect();
+    const px = (clientX === undefined ? rect.left + rect.width / 2 : clientX) - rect.left - rect.width / 2;
+    const py = (clientY === undefined ? rect.top + rect.height / 2 : clientY) - rect.top - rect.height / 2;
+    const scale = Math.max(1, Math.min(MAX_SCALE, z.scale * factor));
+    const k = scale / z.scale;
+    setZoom(scale, px - (px - z.x) * k, py - (py - z.y) * k);
   }
   
-  function onClick(e){
-    const a = e.target.closest('a.lightbox-link');
-    if(!a) return;
-    e.preventDefault();
+  function bindGestures(stage) {
+    const pointers = new Map();
+    let gesture = null;
+    let lastTap = 0;
     
-    // Get all image links in the gallery
-    const gallery = a.closest('.gallery-grid');
-    if (!gallery) return;
+    stage.addEventListener('pointerdown', (e) => {
+      if (e.target.tagName === 'VIDEO') return; // leave native controls alone
+      pointers.set(e.pointerId, { x: e.clientX, y: e.clientY });
+      stage.setPointerCapture(e.pointerId);
+      const z = lb.zoom;
+      if (pointers.size === 2) {
+        const [a, b] = Array.from(pointers.values());
+        gesture = { type: 'pinch', dist: Math.hypot(a.x - b.x, a.y - b.y), scale: z.scale, x: z.x, y: z.y,
+          cx: (a.x + b.x) / 2, cy: (a.y + b.y) / 2 };
+      } else if (pointers.size === 1) {
+        gesture = { type: z.scale > 1 ? 'pan' : 'swipe', sx: e.clientX, sy: e.clientY, x: z.x, y: z.y, moved: false };
+      }
+    });
     
-    const allLinks = Array.from(gallery.querySelectorAll('a.lightbox-link'));
-    const allUrls = allLinks.map(link => link.getAttribute('href'));
-    const clickedUrl = a.getAttribute('href');
+    stage.addEventListener('pointermove', (e) => {
+      if (!pointers.has(e.pointerId) || !gesture) return;
+      pointers.set(e.pointerId, { x: e.clientX, y: e.clientY });
+      if (gesture.type === 'pinch' && pointers.size === 2) {
+        const [a, b] = Array.from(pointers.values());
+        const scale = gesture.scale * Math.hypot(a.x - b.x, a.y - b.y) / gesture.dist;
+        const rect = stage.getBoundingClientRect();
+        const px = gesture.cx - rect.left - rect.width / 2;
+        const py = gesture.cy - rect.top - rect.height / 2;
+        const k = Math.max(1, Math.min(MAX_SCALE, scale)) / gesture.scale;
+        setZoom(scale, px - (px - gesture.x) * k + ((a.x + b.x) / 2 - gesture.cx), py - (py - gesture.y) * k + ((a.y + b.y) / 2 - gesture.cy));
+        return;
+      }
+      const dx = e.clientX - gesture.sx;
+      const dy = e.clientY - gesture.sy;
+      if (Math.hypot(dx, dy) > 6) gesture.moved = true;
+      if (gesture.type === 'pan') {
+        setZoom(lb.zoom.scale, gesture.x + dx, gesture.y + dy);
+      } else if (gesture.type === 'swipe' && lb.media) {
+        lb.media.style.transform = `translateX(${dx}px)`;
+      }
+    });
     
-    openLightbox(clickedUrl, allUrls);
+    const end = (e) => {
+      if (!pointers.has(e.pointerId)) return;
+      pointers.delete(e.pointerId);
+      if (!gesture) return;
+      if (gesture.type === 'pinch') {
+        // One finger left after a pinch: continue as a pan from here
+        const rest = Array.from(pointers.values())[0];
+        gesture = rest ? { type: 'pan', sx: rest.x, sy: rest.y, x: lb.zoom.x, y: lb.zoom.y, moved: true } : null;
+        return;
+      }
+      const dx = e.clientX - gesture.sx;
+      const dy = e.clientY - gesture.sy;
+      if (gesture.type === 'swipe') {
+        if (lb.media) lb.media.style.transform = '';
+        if (Math.abs(dx) > SWIPE_PX && Math.abs(dx) > Math.abs(dy)) navigate(dx < 0 ? 1 : -1);
+        else if (dy > CLOSE_PX && dy > Math.abs(dx)) closeLightbox();
+      }
+      // Double tap (touch) toggles zoom; mice use dblclick below
+      if (!gesture.moved && e.pointerType === 'touch' && e.type === 'pointerup') {
+        const now = Date.now();
+        if (now - lastTap < DOUBLE_TAP_MS) {
+          lastTap = 0;
+          toggleZoom(e.clientX, e.clientY);
+        } else {
+          lastTap = now;
+        }
+      }
+      gesture = null;
+    };
+    stage.addEventListener('pointerup', end);
+    stage.addEventListener('pointercancel', end);
+    stage.addEventListener('dblclick', (e) => toggleZoom(e.clientX, e.clientY));
+    stage.addEventListener('wheel', (e) => {
+      if (!lb.media || lb.media.tagName !== 'IMG') return;
+      e.preventDefault();
+      zoomBy(e.deltaY < 0 ? 1.2 : 1 / 1.2, e.clientX, e.clientY);
+    }, { passive: false });
+  }
+  
+  function toggleZoom(clientX, clientY) {
+    if (lb.zoom.scale > 1) setZoom(1, 0, 0);
+    else zoomBy(2.5, clientX, clientY);
+  }
+  
+  // --- Info panel ---
+  
+  function toggleInfo() {
+    infoOpen = !infoOpen;
+    lb.infoBtn.setAttribute('aria-pressed', String(infoOpen));
+    renderInfo(lb.index);
+  }
+  
+  function formatTaken(taken) {
+    // "2021-10-09T13:43:51+05:45" -> "October 9, 2021, 13:43"
+    const m = /^(\d{4})-(\d{2})-(\d{2})T(\d{2}):(\d{2})/.exec(taken || '');
+    if (!m) return '';
+    const month = new Date(Date.UTC(+m[1], +m[2] - 1, 1)).toLocaleString('en-US', { month: 'long', timeZone: 'UTC' });
+    return `${month} ${+m[3]}, ${m[1]}, ${m[4]}:${m[5]}`;
+  }
+  
+  // EXIF values and names can come from another repository's listing: text nodes only
+  function renderInfo(index) {
+    const panel = lb.info;
+    const meta = lb.items[index].info;
+    const [lat, lon] = meta.gps ? meta.gps.split(',').map(Number) : [];
+    let place = null;
+    if (Number.isFinite(lat) && Number.isFinite(lon)) {
+      place = document.createElement('a');
+      place.href = `https://www.openstreetmap.org/?mlat=${lat}&mlon=${lon}#map=13/${lat}/${lon}`;
+      place.target = '_blank';
+      place.rel = 'noopener';
+      place.textContent = `${lat.toFixed(5)}, ${lon.toFixed(5)}`;
+    }
+    const rows = [
+      ['Taken', formatTaken(meta.taken)],
+      ['Length', meta.duration],
+      ['Camera', meta.camera],
+      ['Exposure', meta.exposure],
+      ['Location', place]
+    ].filter(([, value]) => value);
+    panel.hidden = !infoOpen;
+    if (!infoOpen) return;
+    const name = document.createElement('div');
+    name.className = 'lb-info-name';
+    name.textContent = meta.name || '';
+    if (rows.length === 0) {
+      const empty = document.createElement('div');
+      empty.textContent = 'No camera data for this item.';
+      panel.replaceChildren(name, empty);
+      return;
+    }
+    const list = document.createElement('dl');
+    rows.forEach(([label, value]) => {
+      const term = document.createElement('dt');
+      const detail = document.createElement('dd');
+      term.textContent = label;
+      detail.append(value);
+      list.append(term, detail);
+    });
+    panel.replaceChildren(name, list);
+  }
+  
+  // --- Slideshow and fullscreen ---
+  
+  function setPlaying(playing) {
+    lb.playing = playing;
+    lb.playBtn.setAttribute('aria-pressed', String(playing));
+    lb.playBtn.setAttribute('aria-label', playing ? 'Pause slideshow (space)' : 'Play slideshow (space)');
+    lb.playBtn.innerHTML = `<i class="fas fa-${playing ? 'pause' : 'play'}"></i>`;
+    lb.overlay.classList.toggle('is-playing', playing);
+    schedule();
+    updateHash();
+  }
+  
+  // Links and options can ask for any number: use the nearest interval the toolbar offers
+  function snapInterval(seconds) {
+    if (!Number.isFinite(seconds) || seconds <= 0) return DEFAULT_INTERVAL;
+    return INTERVALS.reduce((best, n) => (Math.abs(n - seconds) < Math.abs(best - seconds) ? n : best));
+  }
+
+  function setSlideInterval(value) {
+    const seconds = snapInterval(value);
+    lb.interval = seconds * 1000;
+    lb.intervalSelect.value = String(seconds);
+    schedule();
+    updateHash();
+  }
+  
+  // Photos stay up for the interval once loaded; videos play to the end
+  function schedule() {
+    clearTimeout(lb.timer);
+    if (!lb.playing) return;
+    const media = lb.media;
+    const advance = () => {
+      if (lb && lb.playing && lb.media === media) lb.timer = setTimeout(() => navigate(1), lb.interval);
+    };
+    if (media.tagName === 'VIDEO') {
+      media.addEventListener('ended', () => { if (lb && lb.playing && lb.media === media) navigate(1); }, { once: true });
+      // Autoplay refused (e.g. sound policy): treat the video like a photo
+      const played = media.play();
+      if (played) played.catch(advance);
+    } else if (media.tagName !== 'IMG' || media.complete) {
+      advance(); // images once loaded; the can't-play notice right away
+    } else {
+      media.addEventListener('load', advance, { once: true });
+      media.addEventListener('error', advance, { once: true });
+    }
+  }
+  
+  function toggleFullscreen() {
+    if (!document.fullscreenEnabled) return;
+    if (document.fullscreenElement) document.exitFullscreen();
+    else lb.overlay.requestFullscreen().catch(() => {});
+  }
+  
+  function onFullscreenChange() {
+    if (!lb) return;
+    const full = document.fullscreenElement === lb.overlay;
+    lb.fullscreenBtn.innerHTML = `<i class="fas fa-${full ? 'compress' : 'expand'}"></i>`;
+    lb.fullscreenBtn.setAttribute('aria-label', full ? 'Exit fullscreen (f)' : 'Fullscreen (f)');
+  }
+  
+  // --- Deep links: #photo=<name>[&slideshow=1[&interval=<seconds>]] ---
+  
+  // Other hash parameters (e.g. album=<slug> on the shared album page) are kept
+  function hashParams() {
+    const params = new URLSearchParams(location.hash.slice(1));
+    ['photo', 'slideshow', 'interval'].forEach(key => params.delete(key));
+    return params;
+  }
+  
+  function setHash(params) {
+    const hash = params.toString();
+    history.replaceState(history.state, '', location.pathname + location.search + (hash ? `#${hash}` : ''));
+  }
+  
+  function updateHash() {
+    if (!lb.deeplink) return;
+    const params = hashParams();
+    params.set('photo', lb.items[lb.index].name);
+    if (lb.playing) {
+      params.set('slideshow', '1');
+      if (lb.interval !== DEFAULT_INTERVAL * 1000) params.set('interval', String(lb.interval / 1000));
+    }
+    setHash(params);
+  }
+  
+  function clearHash() {
+    setHash(hashParams());
   }
   
-  window.addEventListener('click', onClick);
+  // The link and slideshow state a #photo= hash asks for in this gallery, or null
+  function hashTarget(gallery) {
+    const params = new URLSearchParams(location.hash.slice(1));
+    const photo = params.get('photo');
+    const slideshow = params.get('slideshow') === '1';
+    if (!photo && !slideshow) return null;
+    const links = Array.from(gallery.querySelectorAll('a.lightbox-link'));
+    const link = photo ? links.find(l => l.dataset.name === photo) : links[0];
+    if (!link) return null;
+    return { link, playing: slideshow, interval: snapInterval(Number(params.get('interval'))) };
+  }
+  
+  // --- Sequence ---
+  
+  // Live Photo: the paired clip plays once over the still
+  function playLive() {
+    const item = lb.items[lb.index];
+    if (!item.live || lb.live) return;
+    setZoom(1, 0, 0);
+    const video = document.createElement('video');
+    video.className = 'lb-media lb-live-video';
+    video.muted = true;
+    video.playsInline = true;
+    video.autoplay = true;
+    video.setAttribute('aria-hidden', 'true');
+    video.src = item.live;
+    video.addEventListener('ended', stopLive);
+    lb.stage.appendChild(video);
+    lb.live = video;
+    lb.liveBtn.setAttribute('aria-pressed', 'true');
+  }
+  
+  function stopLive() {
+    if (!lb || !lb.live) return;
+    lb.live.pause();
+    lb.live.remove();
+    lb.live = null;
+    lb.liveBtn.setAttribute('aria-pressed', 'false');
+  }
+  
+  function navigate(direction) {
+    const count = lb.items.length;
+    show((lb.index + direction + count) % count);
+  }
+  
+  function show(index) {
+    const item = lb.items[index];
+    lb.index = index;
+    stopLive();
+    lb.liveBtn.hidden = !item.live;
+    // Fade the old element out over the new one; removing it also stops a video
+    const previous = lb.media;
+    if (previous) {
+      previous.classList.add('is-leaving');
+      previous.setAttribute('aria-hidden', 'true');
+      if (previous.tagName === 'VIDEO') previous.pause();
+      setTimeout(() => previous.remove(), FADE_MS);
+    }
+    let media;
+    if (!item.playable) {
+      media = mediaFallback(item);
+    } else if (item.type === 'video') {
+      media = document.createElement('video');
+      media.controls = true;
+      media.playsInline = true;
+      media.autoplay = true;
+      media.preload = 'auto';
+      if (item.poster) media.poster = item.poster;
+      media.src = item.src;
+      // Codecs canPlayType cannot rule out (e.g. HEVC in a .mov) fail here instead
+      media.addEventListener('error', () => {
+        if (!lb || lb.media !== media) return;
+        const fallback = mediaFallback(item);
+        fallback.classList.add('lb-media');
+        media.replaceWith(fallback);
+        lb.media = fallback;
+        schedule();
+      }, { once: true });
+    } else {
+      media = document.createElement('img');
+      media.src = item.src;
+      media.draggable = false;
+    }
+    media.classList.add('lb-media');
+    if (previous) media.classList.add('is-entering');
+    if (media.tagName !== 'DIV') media.setAttribute('aria-label', item.alt);
+    if (media.tagName === 'IMG') media.alt = item.alt;
+    lb.stage.appendChild(media);
+    lb.media = media;
+    if (previous) requestAnimationFrame(() => requestAnimationFrame(() => media.classList.remove('is-entering')));
+    setZoom(1, 0, 0);
+    lb.counter.textContent = `${index + 1} / ${lb.items.length}`;
+    lb.caption.textContent = item.caption;
+    lb.caption.hidden = !item.caption;
+    renderInfo(index);
+    preloadNeighbours(index);
+    schedule();
+    updateHash();
+  }
+  
+  // Shown instead of a video this browser cannot play, or a HEIC photo it could not convert
+  function mediaFallback(item) {
+    const box = document.createElement('div');
+    box.className = 'lb-video-fallback';
+    if (item.poster) {
+      const poster = document.createElement('img');
+      poster.src = item.poster;
+      poster.alt = '';
+      box.appendChild(poster);
+    }
+    const text = document.createElement('p');
+    text.textContent = item.type === 'video'
+      ? `${item.name || 'This video'} cannot be played in this browser.`
+      : `${item.name || 'This photo'} cannot be shown in this browser.`;
+    const download = document.createElement('a');
+    download.href = item.src;
+    download.download = '';
+    download.className = 'lb-download';
+    download.innerHTML = '<i class="fas fa-download"></i> Download original';
+    box.append(text, download);
+    return box;
+  }
+
+  function preloadNeighbours(index) {
+    const count = lb.items.length;
+    [index + 1, index - 1].forEach((i) => {
+      const item = lb.items[(i + count) % count];
+      if (item.type === 'image' && item.playable) {
+        new Image().src = item.src;
+      } else if (item.playable && !lb.preloaded.has(item.src)) {
+        // Fetch just the start of neighbouring videos
+        const v = document.createElement('video');
+        v.preload = 'metadata';
+        v.src = item.src;
+        lb.preloaded.add(item.src);
+      }
+    });
+  }
+  
+  function openLightbox(items, index, opener, options = {}) {
+    if (lb) closeLightbox();
+    lb = createLightbox();
+    lb.items = items;
+    lb.opener = opener;
+    lb.scope = options.scope || null;
+    lb.onClose = options.onClose || null;
+    lb.deeplink = !!options.deeplink;
+    lb.preloaded = new Set();
+    lb.bodyOverflow = document.body.style.overflow;
+    document.body.style.overflow = 'hidden';
+    document.addEventListener('keydown', onKeydown);
+    document.addEventListener('fullscreenchange', onFullscreenChange);
+    show(index);
+    if (options.interval) setSlideInterval(options.interval);
+    if (options.playing) setPlaying(true);
+    lb.overlay.querySelector('.lb-close').focus();
+    if (options.onOpen) options.onOpen({ index, name: items[index].name });
+  }
+  
+  // With a scope, only closes the lightbox that scope opened
+  function closeLightbox(scope) {
+    if (!lb || (scope && lb.scope !== scope)) return;
+    const { overlay, opener, bodyOverflow, deeplink, onClose } = lb;
+    clearTimeout(lb.timer);
+    document.removeEventListener('keydown', onKeydown);
+    document.removeEventListener('fullscreenchange', onFullscreenChange);
+    if (document.fullscreenElement === overlay) document.exitFullscreen().catch(() => {});
+    if (deeplink) clearHash();
+    overlay.remove();
+    document.body.style.overflow = bodyOverflow;
+    lb = null;
+    if (opener && document.contains(opener)) opener.focus();
+    if (onClose) onClose();
+  }
+  
+  // The sequence is every photo and video link in the same gallery
+  function openGallery(a, options = {}) {
+    const gallery = a.closest('.gallery-grid');
+    const links = Array.from(gallery.querySelectorAll('a.lightbox-link'));
+    const items = links.map(link => ({
+      type: link.dataset.type === 'video' ? 'video' : 'image',
+      src: link.getAttribute('href'),
+      name: link.dataset.name || '',
+      alt: link.dataset.alt || link.dataset.name || '',
+      caption: link.dataset.caption || '',
+      live: link.dataset.live || '',
+      poster: link.dataset.poster || '',
+      playable: link.dataset.playable !== 'false',
+      info: { ...link.dataset }
+    }));
+    openLightbox(items, Math.max(0, links.indexOf(a)), a, options);
+  }
+  
+  window.TravelGallery.lightbox = {
+    open: openGallery,
+    close: closeLightbox,
+    isOpen: () => !!lb,
+    hashTarget
+  };
 })();
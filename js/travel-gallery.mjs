@@ -0,0 +1,14 @@
+/*
+  ES module entry for js/travel-gallery.js
+  - Runs the classic script once (a <script> tag for it on the same page is fine too)
+    and re-exports its API:
+      import { init } from '/js/travel-gallery.mjs';
+      const gallery = init({ container: '#featured', album: 'rara-nepal', layout: 'carousel', limit: 12 });
+  - Needs js/travel-gallery.js next to it; js/media-decoder.js is still loaded on demand
+*/
+import './travel-gallery.js';
+
+const TravelGallery = window.TravelGallery;
+
+export const { init, renderAlbumGallery, renderAlbumPage, renderTravelHub, renderTravelMap } = TravelGallery;
+export default TravelGallery;
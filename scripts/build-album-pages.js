@@ -0,0 +1,69 @@
+#!/usr/bin/env node
+/*
+  Generate static album pages from the shared template
+  - Reads img/travel/albums.json (run scripts/build-albums.js first)
+  - Writes travel/<slug>.html from travel/album.html for every album, so old
+    links keep working and crawlers see the title and description without JS
+  - Warns about travel/*.html pages that no longer have an album folder
+
+  Usage: node scripts/build-album-pages.js
+*/
+'use strict';
+
+const fs = require('fs');
+const path = require('path');
+
+const ROOT = path.resolve(__dirname, '..');
+const MANIFEST = path.join(ROOT, 'img/travel/albums.json');
+const PAGES = path.join(ROOT, 'travel');
+const TEMPLATE = 'album.html';
+const SITE_TITLE = 'Travel • Laxman Kafle';
+
+function escapeHtml(value) {
+  return String(value)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+}
+
+function toTitle(slug) {
+  return slug.replace(/[-_]+/g, ' ').replace(/\b\w/g, (c) => c.toUpperCase());
+}
+
+// Swap one piece of the template, failing loudly if it has drifted
+function replaceOnce(html, pattern, replacement) {
+  if (!pattern.test(html)) throw new Error(`${TEMPLATE}: could not find ${pattern}`);
+  return html.replace(pattern, replacement);
+}
+
+function renderPage(template, album) {
+  const title = escapeHtml(album.title || toTitle(album.slug));
+  const description = escapeHtml(album.description || `Photos and videos from ${album.title || toTitle(album.slug)}.`);
+  let html = template;
+  html = replaceOnce(html, /<title>[^<]*<\/title>/, `<title>${title} • ${SITE_TITLE}</title>`);
+  html = replaceOnce(html, /<meta name="description" content="[^"]*">/, `<meta name="description" content="${description}">`);
+  html = replaceOnce(html, /(<h1 id="album-title"[^>]*>)[^<]*(<\/h1>)/, `$1${title}$2`);
+  html = replaceOnce(html, /\n\s*\/\/ Album from \?album=.*/, '');
+  html = replaceOnce(html, /renderAlbumPage\('#album'\)/, `renderAlbumPage('#album', '${album.slug.replace(/['\\]/g, '\\$&')}')`);
+  return html;
+}
+
+function main() {
+  const template = fs.readFileSync(path.join(PAGES, TEMPLATE), 'utf8');
+  const { albums } = JSON.parse(fs.readFileSync(MANIFEST, 'utf8'));
+  const slugs = new Set(albums.map((a) => a.slug));
+
+  albums.forEach((album) => {
+    const file = path.join(PAGES, `${album.slug}.html`);
+    fs.writeFileSync(file, renderPage(template, album));
+    console.log(`  ${path.relative(ROOT, file)}`);
+  });
+
+  fs.readdirSync(PAGES)
+    .filter((n) => n.endsWith('.html') && n !== TEMPLATE && !slugs.has(n.slice(0, -5)))
+    .forEach((n) => console.warn(`  travel/${n} has no album in the manifest, left as is`));
+  console.log(`Wrote ${albums.length} album pages`);
+}
+
+if (require.main === module) main();
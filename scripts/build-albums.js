@@ -0,0 +1,349 @@
+#!/usr/bin/env node
+/*
+  Build the travel album manifest
+  - Walks img/travel/<slug>/ folders
+  - Records ordered media files with type, pixel size and byte size
+  - Adds EXIF capture time, camera, exposure and GPS (scripts/exif.js)
+  - Adds capture time, duration and codec of videos (scripts/video-meta.js)
+  - Lists the responsive variants (and video poster frames) built by scripts/build-variants.js
+  - Merges the optional <slug>/album.json sidecar (titles, location, captions, cover, hidden files)
+  - Leaves out the redundant copies listed in img/travel/duplicates.json (scripts/find-duplicates.js)
+  - Collapses one shot saved as HEIC/JPG/MOV into a single item (the clip becomes a Live Photo)
+  - Writes img/travel/albums.json, read by js/travel-gallery.js
+
+  Usage: node scripts/build-albums.js
+*/
+'use strict';
+
+const fs = require('fs');
+const path = require('path');
+const { readExif } = require('./exif');
+const { readVideoMeta } = require('./video-meta');
+
+const ROOT = path.resolve(__dirname, '..');
+const BASE = 'img/travel';
+const OUT = path.join(ROOT, BASE, 'albums.json');
+const SIDECAR = 'album.json';
+const DUPLICATES = path.join(ROOT, BASE, 'duplicates.json');
+
+const IMAGE_EXT = ['.jpg', '.jpeg', '.png', '.gif', '.webp'];
+const HEIC_EXT = ['.heic'];
+const VIDEO_EXT = ['.mp4', '.webm', '.mov'];
+
+// Responsive variants live in <slug>/variants/<name>.<size>.<format>
+const VARIANT_DIR = 'variants';
+const VARIANT_SIZES = [480, 1200, 2048];
+const VARIANT_FORMATS = ['avif', 'webp'];
+
+function variantName(file, size, format) {
+  return `${file}.${size}.${format}`;
+}
+
+function mediaType(name) {
+  const ext = path.extname(name).toLowerCase();
+  if (IMAGE_EXT.includes(ext)) return 'image';
+  if (HEIC_EXT.includes(ext)) return 'heic';
+  if (VIDEO_EXT.includes(ext)) return 'video';
+  return null;
+}
+
+function naturalCompare(a, b) {
+  return a.localeCompare(b, 'en', { numeric: true, sensitivity: 'base' });
+}
+
+// --- Dimension readers (header parsing only, no decoding) ---
+
+function jpegSize(buf) {
+  let i = 2;
+  while (i + 9 < buf.length) {
+    if (buf[i] !== 0xff) { i++; continue; }
+    const marker = buf[i + 1];
+    if (marker === 0xff) { i++; continue; }
+    if (marker === 0xd8 || marker === 0x01 || (marker >= 0xd0 && marker <= 0xd7)) { i += 2; continue; }
+    const len = buf.readUInt16BE(i + 2);
+    // SOF0..SOF15 except DHT (C4), JPG (C8) and DAC (CC)
+    if (marker >= 0xc0 && marker <= 0xcf && marker !== 0xc4 && marker !== 0xc8 && marker !== 0xcc) {
+      return { width: buf.readUInt16BE(i + 7), height: buf.readUInt16BE(i + 5) };
+    }
+    i += 2 + len;
+  }
+  return null;
+}
+
+function pngSize(buf) {
+  if (buf.length < 24 || buf.toString('ascii', 12, 16) !== 'IHDR') return null;
+  return { width: buf.readUInt32BE(16), height: buf.readUInt32BE(20) };
+}
+
+function gifSize(buf) {
+  if (buf.length < 10 || buf.toString('ascii', 0, 3) !== 'GIF') return null;
+  return { width: buf.readUInt16LE(6), height: buf.readUInt16LE(8) };
+}
+
+function webpSize(buf) {
+  if (buf.length < 30 || buf.toString('ascii', 0, 4) !== 'RIFF' || buf.toString('ascii', 8, 12) !== 'WEBP') return null;
+  const chunk = buf.toString('ascii', 12, 16);
+  if (chunk === 'VP8 ') {
+    return { width: buf.readUInt16LE(26) & 0x3fff, height: buf.readUInt16LE(28) & 0x3fff };
+  }
+  if (chunk === 'VP8L') {
+    const b = buf.readUInt32LE(21);
+    return { width: (b & 0x3fff) + 1, height: ((b >> 14) & 0x3fff) + 1 };
+  }
+  if (chunk === 'VP8X') {
+    return { width: buf.readUIntLE(24, 3) + 1, height: buf.readUIntLE(27, 3) + 1 };
+  }
+  return null;
+}
+
+// ISO-BMFF (HEIC, MP4, MOV): walk boxes looking for `ispe` (image) or `tkhd` (track)
+const CONTAINER_BOXES = new Set(['moov', 'trak', 'meta', 'iprp', 'ipco']);
+
+function bmffSize(buf, start = 0, end = buf.length) {
+  let i = start;
+  while (i + 8 <= end) {
+    let size = buf.readUInt32BE(i);
+    const type = buf.toString('ascii', i + 4, i + 8);
+    let header = 8;
+    if (size === 1 && i + 16 <= end) { size = Number(buf.readBigUInt64BE(i + 8)); header = 16; }
+    if (size === 0) size = end - i;
+    if (size < header) return null;
+    const body = i + header;
+    if (type === 'ispe' && body + 12 <= end) {
+      return { width: buf.readUInt32BE(body + 4), height: buf.readUInt32BE(body + 8) };
+    }
+    if (type === 'tkhd' && body + 4 <= end) {
+      const version = buf[body];
+      const off = body + (version === 1 ? 88 : 76); // after times, ids, layer/volume and the matrix
+      const width = off + 8 <= end ? buf.readUInt32BE(off) >>> 16 : 0;
+      const height = off + 8 <= end ? buf.readUInt32BE(off + 4) >>> 16 : 0;
+      // audio tracks report 0x0; keep looking for the video track
+      if (width && height) return { width, height };
+    }
+    if (CONTAINER_BOXES.has(type)) {
+      // `meta` is a full box: skip version/flags
+      const found = bmffSize(buf, type === 'meta' ? body + 4 : body, Math.min(i + size, end));
+      if (found) return found;
+    }
+    i += size;
+  }
+  return null;
+}
+
+function readDimensions(buf, name) {
+  const ext = path.extname(name).toLowerCase();
+  try {
+    if (ext === '.jpg' || ext === '.jpeg') return jpegSize(buf);
+    if (ext === '.png') return pngSize(buf);
+    if (ext === '.gif') return gifSize(buf);
+    if (ext === '.webp') return webpSize(buf);
+    if (ext === '.heic' || ext === '.mp4' || ext === '.mov') return bmffSize(buf);
+  } catch (e) {
+    console.warn(`  could not read dimensions of ${name}: ${e.message}`);
+  }
+  return null;
+}
+
+// --- Manifest ---
+
+// { webp: [480, 1200, 2048], avif: [...] } for the variants present on disk
+function listVariants(name, available) {
+  const variants = {};
+  VARIANT_FORMATS.forEach((format) => {
+    const sizes = VARIANT_SIZES.filter((size) => available.has(variantName(name, size, format)));
+    if (sizes.length) variants[format] = sizes;
+  });
+  return Object.keys(variants).length ? variants : null;
+}
+
+/*
+  Sidecar format (every field optional):
+  {
+    "title": "Rara Lake",
+    "description": "Three days around Nepal's largest lake.",
+    "location": "Rara, Nepal",
+    "dates": { "start": "2021-10-09", "end": "2021-10-12" },
+    "tags": ["nepal", "trek"],
+    "cover": "IMG_20211010_114450.jpg",
+    "files": { "IMG_6861.jpg": { "caption": "Morning at the lake", "alt": "Lake under clouds" } },
+    "hidden": ["IMG_7217.jpg"]
+  }
+*/
+function readSidecar(slug, names) {
+  const file = path.join(ROOT, BASE, slug, SIDECAR);
+  if (!fs.existsSync(file)) return {};
+  let data;
+  try {
+    data = JSON.parse(fs.readFileSync(file, 'utf8'));
+  } catch (e) {
+    console.warn(`  ${slug}/${SIDECAR}: invalid JSON (${e.message}), ignored`);
+    return {};
+  }
+  const known = new Set(names);
+  const check = (name, field) => {
+    if (known.has(name)) return true;
+    console.warn(`  ${slug}/${SIDECAR}: ${field} refers to missing file ${name}`);
+    return false;
+  };
+  const sidecar = {};
+  if (typeof data.title === 'string') sidecar.title = data.title;
+  if (typeof data.description === 'string') sidecar.description = data.description;
+  if (typeof data.location === 'string') sidecar.location = data.location;
+  if (Array.isArray(data.tags)) sidecar.tags = data.tags.map(String);
+  if (data.dates && data.dates.start) {
+    sidecar.dates = { start: String(data.dates.start), end: String(data.dates.end || data.dates.start) };
+  }
+  if (typeof data.cover === 'string' && check(data.cover, 'cover')) sidecar.cover = data.cover;
+  sidecar.hidden = new Set((Array.isArray(data.hidden) ? data.hidden : []).filter((n) => check(n, 'hidden')));
+  sidecar.files = {};
+  Object.entries(data.files || {}).forEach(([name, meta]) => {
+    if (!check(name, 'files') || !meta) return;
+    const entry = {};
+    if (typeof meta.caption === 'string') entry.caption = meta.caption;
+    if (typeof meta.alt === 'string') entry.alt = meta.alt;
+    sidecar.files[name] = entry;
+  });
+  return sidecar;
+}
+
+// IMG_1.HEIC + IMG_1.jpg + IMG_1.MOV are one shot: keep the still browsers show natively,
+// list the other stills as `alternates` and play the clip as a Live Photo (`live`)
+const SHARED_FIELDS = ['taken', 'camera', 'exposure', 'gps'];
+
+function pairMedia(files) {
+  const groups = new Map();
+  files.forEach((f) => {
+    const key = path.parse(f.name).name.toLowerCase();
+    if (!groups.has(key)) groups.set(key, []);
+    groups.get(key).push(f);
+  });
+  const items = [];
+  groups.forEach((group) => {
+    const stills = group.filter((f) => f.type !== 'video');
+    const videos = group.filter((f) => f.type === 'video');
+    if (stills.length === 0 || group.length === 1) {
+      items.push(...group);
+      return;
+    }
+    const still = stills.find((f) => f.type === 'image') || stills[0];
+    // bytes: every original of the shot, as the album ZIP downloads them
+    const item = { ...still, bytes: group.reduce((sum, f) => sum + f.bytes, 0) };
+    const others = stills.filter((f) => f !== still);
+    others.forEach((other) => {
+      SHARED_FIELDS.forEach((field) => {
+        if (!item[field] && other[field]) item[field] = other[field];
+      });
+    });
+    if (others.length) item.alternates = others.map((f) => f.name);
+    if (videos.length) item.live = videos[0].name;
+    items.push(item, ...videos.slice(1));
+  });
+  return items;
+}
+
+// "<slug>/<name>" paths written by scripts/find-duplicates.js --write
+function readHiddenDuplicates() {
+  if (!fs.existsSync(DUPLICATES)) return new Set();
+  try {
+    const data = JSON.parse(fs.readFileSync(DUPLICATES, 'utf8'));
+    return new Set(Array.isArray(data.hidden) ? data.hidden : []);
+  } catch (e) {
+    console.warn(`  ${path.relative(ROOT, DUPLICATES)}: invalid JSON (${e.message}), ignored`);
+    return new Set();
+  }
+}
+
+function buildAlbum(slug, duplicates = new Set()) {
+  const dir = path.join(ROOT, BASE, slug);
+  const variantDir = path.join(dir, VARIANT_DIR);
+  const available = new Set(fs.existsSync(variantDir) ? fs.readdirSync(variantDir) : []);
+  const names = fs.readdirSync(dir)
+    .filter((n) => !n.startsWith('.') && mediaType(n))
+    .sort(naturalCompare);
+  const sidecar = readSidecar(slug, names);
+
+  const shown = (name) => !(sidecar.hidden && sidecar.hidden.has(name)) && !duplicates.has(`${slug}/${name}`);
+  const files = names.filter(shown).map((name) => {
+    const buf = fs.readFileSync(path.join(dir, name));
+    const type = mediaType(name);
+    const dims = readDimensions(buf, name) || {};
+    const exif = type === 'video' ? null : readExif(buf);
+    const video = type === 'video' ? readVideoMeta(buf) : null;
+    // Orientations 5-8 (and portrait phone videos) are rotated a quarter turn: report the displayed size
+    const rotated = (exif && exif.orientation >= 5) || (video && video.rotated);
+    const file = {
+      name,
+      type,
+      width: (rotated ? dims.height : dims.width) || null,
+      height: (rotated ? dims.width : dims.height) || null,
+      bytes: buf.length
+    };
+    if (exif) {
+      file.taken = exif.taken;
+      file.camera = exif.camera;
+      file.exposure = exif.exposure;
+      file.gps = exif.gps;
+    }
+    if (video) {
+      if (video.taken) file.taken = video.taken;
+      if (video.duration) file.duration = video.duration;
+      if (video.codec) file.codec = video.codec;
+    }
+    // Videos get poster frames under the same names (scripts/build-variants.js)
+    const variants = listVariants(name, available);
+    if (variants) file.variants = variants;
+    Object.assign(file, sidecar.files && sidecar.files[name]);
+    return file;
+  });
+  const items = pairMedia(files);
+
+  const cover = items.find((f) => f.name === sidecar.cover || (f.alternates || []).includes(sidecar.cover))
+    || items.find((f) => f.type === 'image')
+    || null;
+  const taken = items.map((f) => f.taken).filter(Boolean).sort();
+  const album = { slug };
+  if (sidecar.title) album.title = sidecar.title;
+  if (sidecar.description) album.description = sidecar.description;
+  if (sidecar.location) album.location = sidecar.location;
+  if (sidecar.tags) album.tags = sidecar.tags;
+  return Object.assign(album, {
+    cover: cover ? cover.name : null,
+    count: items.length,
+    bytes: files.reduce((sum, f) => sum + f.bytes, 0),
+    dates: sidecar.dates || (taken.length ? { start: taken[0], end: taken[taken.length - 1] } : null),
+    files: items
+  });
+}
+
+function buildManifest() {
+  const dir = path.join(ROOT, BASE);
+  const slugs = fs.readdirSync(dir, { withFileTypes: true })
+    .filter((d) => d.isDirectory() && !d.name.startsWith('.'))
+    .map((d) => d.name)
+    .sort(naturalCompare);
+
+  const duplicates = readHiddenDuplicates();
+  const albums = slugs.map((slug) => buildAlbum(slug, duplicates)).filter((a) => a.count > 0);
+  return { version: 1, base: BASE, albums };
+}
+
+function main() {
+  const manifest = buildManifest();
+  fs.writeFileSync(OUT, JSON.stringify(manifest, null, 2) + '\n');
+  manifest.albums.forEach((a) => console.log(`  ${a.slug}: ${a.count} files`));
+  console.log(`Wrote ${path.relative(ROOT, OUT)} (${manifest.albums.length} albums)`);
+}
+
+if (require.main === module) main();
+
+module.exports = {
+  buildManifest,
+  readDimensions,
+  mediaType,
+  naturalCompare,
+  pairMedia,
+  variantName,
+  VARIANT_DIR,
+  VARIANT_SIZES,
+  VARIANT_FORMATS
+};
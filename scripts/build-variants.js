@@ -0,0 +1,173 @@
+#!/usr/bin/env node
+/*
+  Build responsive image variants for the travel albums
+  - For each photo in img/travel/<slug>/, writes variants/<name>.<size>.<format>
+    (thumb 480, medium 1200, large 2048 px on the long edge; never upscaled)
+  - Encodes WebP, plus AVIF when the local ImageMagick supports it
+  - Auto-orients and strips metadata (including GPS) from every variant
+  - Videos get poster frames under the same names (grabbed with ffmpeg when it is on PATH);
+    Live Photo clips are skipped, their still is the poster
+  - Skips originals whose content is unchanged since their variants were written (SHA-1s in
+    variants/sources.json, so restored caches and fresh checkouts are judged by content, not
+    mtimes); deletes variants of removed files
+
+  Requires ImageMagick (`magick` or `convert`) on PATH.
+  Run `node scripts/build-albums.js` afterwards so the manifest lists the variants.
+
+  Usage: node scripts/build-variants.js [slug ...]
+*/
+'use strict';
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const crypto = require('crypto');
+const { execFileSync } = require('child_process');
+const { mediaType, variantName, VARIANT_DIR, VARIANT_SIZES: SIZES } = require('./build-albums');
+
+const ROOT = path.resolve(__dirname, '..');
+const BASE = 'img/travel';
+const QUALITY = { webp: 78, avif: 55 };
+const SOURCES = 'sources.json'; // original name -> SHA-1 of the content its variants were made from
+
+function findImageMagick() {
+  for (const bin of ['magick', 'convert']) {
+    try {
+      const formats = execFileSync(bin, ['-list', 'format'], { encoding: 'utf8', stdio: ['ignore', 'pipe', 'ignore'] });
+      const supports = (fmt) => new RegExp(`^\\s*${fmt}\\*?\\s+\\S+\\s+r?w`, 'im').test(formats);
+      return { bin, formats: ['avif', 'webp'].filter(supports) };
+    } catch (e) {
+      // try the next binary name
+    }
+  }
+  return null;
+}
+
+function findFfmpeg() {
+  try {
+    execFileSync('ffmpeg', ['-version'], { stdio: 'ignore' });
+    return 'ffmpeg';
+  } catch (e) {
+    return null;
+  }
+}
+
+// One frame a second in (the very first for shorter clips), as a temporary PNG
+function extractFrame(ffmpeg, file) {
+  const out = path.join(os.tmpdir(), `poster-${process.pid}-${Date.now()}.png`);
+  for (const at of ['1', '0']) {
+    try {
+      execFileSync(ffmpeg, ['-v', 'error', '-y', '-ss', at, '-i', file, '-frames:v', '1', out], { stdio: ['ignore', 'ignore', 'pipe'] });
+      if (fs.existsSync(out) && fs.statSync(out).size > 0) return out;
+    } catch (e) {
+      if (at === '0') throw e;
+    }
+  }
+  throw new Error('no frame could be decoded');
+}
+
+function hashFile(file) {
+  return crypto.createHash('sha1').update(fs.readFileSync(file)).digest('hex');
+}
+
+function readSources(outDir) {
+  try {
+    return JSON.parse(fs.readFileSync(path.join(outDir, SOURCES), 'utf8'));
+  } catch (e) {
+    return {}; // no record yet: every variant is rebuilt once
+  }
+}
+
+function buildAlbumVariants(slug, magick, ffmpeg) {
+  const dir = path.join(ROOT, BASE, slug);
+  const outDir = path.join(dir, VARIANT_DIR);
+  const stem = (n) => path.parse(n).name.toLowerCase();
+  const names = fs.readdirSync(dir).filter((n) => !n.startsWith('.') && mediaType(n));
+  const stills = new Set(names.filter((n) => mediaType(n) !== 'video').map(stem));
+  const media = names.filter((n) => mediaType(n) !== 'video' || !stills.has(stem(n)));
+  fs.mkdirSync(outDir, { recursive: true });
+  const sources = readSources(outDir);
+  const recorded = {};
+
+  const expected = new Set([SOURCES]);
+  let written = 0;
+  let failed = 0;
+  let noPoster = 0;
+  media.forEach((name) => {
+    const original = path.join(dir, name);
+    const isVideo = mediaType(name) === 'video';
+    const failedBefore = failed;
+    let source = isVideo ? null : original; // video frames are grabbed only when a poster is stale
+    let broken = false;
+    const hash = hashFile(original);
+    const unchanged = sources[name] === hash;
+    if (isVideo && !ffmpeg) noPoster++;
+    SIZES.forEach((size) => {
+      magick.formats.forEach((format) => {
+        const file = variantName(name, size, format);
+        const target = path.join(outDir, file);
+        expected.add(file); // without ffmpeg, existing posters are kept as they are
+        if ((unchanged && fs.existsSync(target)) || (isVideo && !ffmpeg) || broken) return;
+        try {
+          if (!source) source = extractFrame(ffmpeg, original);
+          execFileSync(magick.bin, [
+            source,
+            '-auto-orient',
+            '-strip',
+            '-resize', `${size}x${size}>`,
+            '-quality', String(QUALITY[format]),
+            target
+          ], { stdio: ['ignore', 'ignore', 'pipe'] });
+          written++;
+        } catch (e) {
+          failed++;
+          broken = !source; // no frame: the other sizes would fail the same way
+          console.warn(`  ${slug}/${name} -> ${file} failed: ${String(e.stderr || e.message).trim()}`);
+        }
+      });
+    });
+    if (source && source !== original) fs.rmSync(source, { force: true });
+    // A failed or skipped variant keeps the old record, so the next run tries again
+    if (failedBefore === failed && !(isVideo && !ffmpeg)) recorded[name] = hash;
+    else if (sources[name]) recorded[name] = sources[name];
+  });
+
+  // Variants whose original was deleted or renamed
+  let removed = 0;
+  fs.readdirSync(outDir).forEach((file) => {
+    if (!expected.has(file)) {
+      fs.unlinkSync(path.join(outDir, file));
+      removed++;
+    }
+  });
+  if (fs.readdirSync(outDir).some((file) => file !== SOURCES)) {
+    fs.writeFileSync(path.join(outDir, SOURCES), `${JSON.stringify(recorded, null, 2)}\n`);
+  } else {
+    fs.rmSync(outDir, { recursive: true });
+  }
+
+  console.log(`  ${slug}: ${written} written, ${removed} removed${failed ? `, ${failed} failed` : ''}${noPoster ? `, ${noPoster} videos without ffmpeg` : ''}`);
+}
+
+function main() {
+  const magick = findImageMagick();
+  if (!magick) {
+    console.error('ImageMagick not found: install it so `magick` or `convert` is on PATH.');
+    process.exit(1);
+  }
+  if (!magick.formats.includes('webp')) {
+    console.error(`${magick.bin} cannot write WebP; install ImageMagick with the webp delegate.`);
+    process.exit(1);
+  }
+  const ffmpeg = findFfmpeg();
+  console.log(`Using ${magick.bin} (${magick.formats.join(', ')})${ffmpeg ? ' and ffmpeg' : '; ffmpeg not found, video posters skipped'}`);
+
+  const only = process.argv.slice(2);
+  const slugs = fs.readdirSync(path.join(ROOT, BASE), { withFileTypes: true })
+    .filter((d) => d.isDirectory() && !d.name.startsWith('.'))
+    .map((d) => d.name)
+    .filter((slug) => only.length === 0 || only.includes(slug));
+  slugs.forEach((slug) => buildAlbumVariants(slug, magick, ffmpeg));
+}
+
+if (require.main === module) main();
@@ -0,0 +1,165 @@
+/*
+  Minimal EXIF reader for the album build scripts
+  - Finds the TIFF block in JPEG (APP1) and HEIC (Exif item) files
+  - Reads capture time, camera, exposure, orientation and GPS
+*/
+'use strict';
+
+const TAGS = {
+  0x010f: 'Make',
+  0x0110: 'Model',
+  0x0112: 'Orientation',
+  0x0132: 'DateTime',
+  0x8769: 'ExifIFD',
+  0x8825: 'GPSIFD',
+  0x829a: 'ExposureTime',
+  0x829d: 'FNumber',
+  0x8827: 'ISO',
+  0x9003: 'DateTimeOriginal',
+  0x9011: 'OffsetTimeOriginal',
+  0x920a: 'FocalLength',
+  0xa434: 'LensModel'
+};
+
+const GPS_TAGS = {
+  0x0001: 'GPSLatitudeRef',
+  0x0002: 'GPSLatitude',
+  0x0003: 'GPSLongitudeRef',
+  0x0004: 'GPSLongitude',
+  0x0005: 'GPSAltitudeRef',
+  0x0006: 'GPSAltitude'
+};
+
+const TYPE_SIZE = { 1: 1, 2: 1, 3: 2, 4: 4, 5: 8, 7: 1, 9: 4, 10: 8 };
+
+function readValue(buf, tiff, le, type, count, valueOffset) {
+  const size = (TYPE_SIZE[type] || 1) * count;
+  const at = size <= 4 ? valueOffset : tiff + (le ? buf.readUInt32LE(valueOffset) : buf.readUInt32BE(valueOffset));
+  if (at + size > buf.length) return undefined;
+  const u16 = (o) => (le ? buf.readUInt16LE(o) : buf.readUInt16BE(o));
+  const u32 = (o) => (le ? buf.readUInt32LE(o) : buf.readUInt32BE(o));
+  const s32 = (o) => (le ? buf.readInt32LE(o) : buf.readInt32BE(o));
+  const many = (fn, step) => {
+    const out = [];
+    for (let k = 0; k < count; k++) out.push(fn(at + k * step));
+    return count === 1 ? out[0] : out;
+  };
+  switch (type) {
+    case 2: return buf.toString('latin1', at, at + count).replace(/\0+$/, '').trim();
+    case 3: return many(u16, 2);
+    case 4: return many(u32, 4);
+    case 5: return many((o) => (u32(o + 4) ? u32(o) / u32(o + 4) : 0), 8);
+    case 9: return many(s32, 4);
+    case 10: return many((o) => (s32(o + 4) ? s32(o) / s32(o + 4) : 0), 8);
+    default: return many((o) => buf[o], 1);
+  }
+}
+
+function readIfd(buf, tiff, le, offset, names, out) {
+  const start = tiff + offset;
+  if (start + 2 > buf.length) return;
+  const count = le ? buf.readUInt16LE(start) : buf.readUInt16BE(start);
+  for (let k = 0; k < count; k++) {
+    const entry = start + 2 + k * 12;
+    if (entry + 12 > buf.length) return;
+    const tag = le ? buf.readUInt16LE(entry) : buf.readUInt16BE(entry);
+    const name = names[tag];
+    if (!name) continue;
+    const type = le ? buf.readUInt16LE(entry + 2) : buf.readUInt16BE(entry + 2);
+    const n = le ? buf.readUInt32LE(entry + 4) : buf.readUInt32BE(entry + 4);
+    out[name] = readValue(buf, tiff, le, type, n, entry + 8);
+  }
+}
+
+function parseTiff(buf, tiff) {
+  const order = buf.toString('ascii', tiff, tiff + 2);
+  if (order !== 'II' && order !== 'MM') return null;
+  const le = order === 'II';
+  const first = le ? buf.readUInt32LE(tiff + 4) : buf.readUInt32BE(tiff + 4);
+  const tags = {};
+  readIfd(buf, tiff, le, first, TAGS, tags);
+  if (tags.ExifIFD) readIfd(buf, tiff, le, tags.ExifIFD, TAGS, tags);
+  if (tags.GPSIFD) readIfd(buf, tiff, le, tags.GPSIFD, GPS_TAGS, tags);
+  return tags;
+}
+
+function findTiff(buf) {
+  // JPEG: APP1 segment starting with "Exif\0\0"
+  if (buf[0] === 0xff && buf[1] === 0xd8) {
+    let i = 2;
+    while (i + 4 < buf.length && buf[i] === 0xff) {
+      const marker = buf[i + 1];
+      const len = buf.readUInt16BE(i + 2);
+      if (marker === 0xe1 && buf.toString('ascii', i + 4, i + 10) === 'Exif\0\0') return i + 10;
+      if (marker === 0xda) break; // start of scan: no more metadata
+      i += 2 + len;
+    }
+    return -1;
+  }
+  // HEIC and others: the Exif item payload carries the same "Exif\0\0" header
+  const at = buf.indexOf('Exif\0\0', 0, 'latin1');
+  return at === -1 ? -1 : at + 6;
+}
+
+function toIsoDate(value, offset) {
+  // EXIF dates look like "2021:10:09 13:43:51"
+  const m = /^(\d{4}):(\d{2}):(\d{2})[ T](\d{2}):(\d{2}):(\d{2})/.exec(value || '');
+  if (!m || m[1] === '0000') return null;
+  const iso = `${m[1]}-${m[2]}-${m[3]}T${m[4]}:${m[5]}:${m[6]}`;
+  return /^[+-]\d{2}:\d{2}$/.test(offset || '') ? iso + offset : iso;
+}
+
+function toDegrees(dms, ref) {
+  if (!Array.isArray(dms) || dms.length < 3) return null;
+  const deg = dms[0] + dms[1] / 60 + dms[2] / 3600;
+  if (!isFinite(deg)) return null;
+  return Math.round((ref === 'S' || ref === 'W' ? -deg : deg) * 1e6) / 1e6;
+}
+
+function formatExposure(seconds) {
+  if (!seconds) return null;
+  return seconds >= 1 ? `${Math.round(seconds * 10) / 10}s` : `1/${Math.round(1 / seconds)}s`;
+}
+
+/**
+ * Read the fields the gallery shows from an image buffer.
+ * Returns null when the file has no EXIF block.
+ */
+function readExif(buf) {
+  let tags;
+  try {
+    const tiff = findTiff(buf);
+    if (tiff < 0) return null;
+    tags = parseTiff(buf, tiff);
+  } catch (e) {
+    return null;
+  }
+  if (!tags) return null;
+
+  const make = tags.Make || '';
+  const model = tags.Model || '';
+  const camera = model.startsWith(make) ? model : [make, model].filter(Boolean).join(' ');
+  const lat = toDegrees(tags.GPSLatitude, tags.GPSLatitudeRef);
+  const lon = toDegrees(tags.GPSLongitude, tags.GPSLongitudeRef);
+  const iso = Array.isArray(tags.ISO) ? tags.ISO[0] : tags.ISO;
+
+  const exif = {
+    taken: toIsoDate(tags.DateTimeOriginal || tags.DateTime, tags.OffsetTimeOriginal),
+    camera: camera || null,
+    exposure: {
+      time: formatExposure(tags.ExposureTime),
+      aperture: tags.FNumber ? `f/${Math.round(tags.FNumber * 10) / 10}` : null,
+      iso: iso || null,
+      focal: tags.FocalLength ? `${Math.round(tags.FocalLength * 10) / 10}mm` : null
+    },
+    gps: lat !== null && lon !== null && (lat || lon) ? { lat, lon } : null,
+    orientation: tags.Orientation || 1
+  };
+  if (exif.gps && typeof tags.GPSAltitude === 'number') {
+    exif.gps.alt = Math.round((tags.GPSAltitudeRef === 1 ? -1 : 1) * tags.GPSAltitude);
+  }
+  if (!Object.values(exif.exposure).some(Boolean)) exif.exposure = null;
+  return exif;
+}
+
+module.exports = { readExif };
@@ -0,0 +1,283 @@
+#!/usr/bin/env node
+/*
+  Find duplicate and near-duplicate photos in the travel albums
+  - Hashes every photo in img/travel/<slug>/ (HEIC included, videos skipped)
+  - Exact duplicates: identical bytes (SHA-256)
+  - Near duplicates: dHash (9x8 gradient) and pHash (32x32 DCT) both within --threshold bits,
+    which catches burst shots, re-exports and resized copies
+  - Files of one shot (IMG_1.HEIC + IMG_1.jpg) are a Live Photo pair, not duplicates
+  - Suggests the copy to keep in each group: the album cover, else the most pixels, else the most bytes
+  - With --write, saves img/travel/duplicates.json; its "hidden" list is skipped by
+    scripts/build-albums.js and js/travel-gallery.js, files stay on disk.
+    Paths under "allow" in that file are never hidden (keep both shots of a pair you want).
+
+  Requires ImageMagick (`magick` or `convert`) on PATH.
+  Run `node scripts/build-albums.js` afterwards so the manifest leaves the hidden copies out.
+
+  Usage: node scripts/find-duplicates.js [--threshold 10] [--across] [--write] [slug ...]
+    --threshold  max differing bits (of 64) for both hashes to call two photos near duplicates
+    --across     also hide copies of a photo that live in another album (reported either way)
+    --write      write img/travel/duplicates.json instead of only printing the report
+*/
+'use strict';
+
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const { execFileSync } = require('child_process');
+const { mediaType, naturalCompare, readDimensions } = require('./build-albums');
+
+const ROOT = path.resolve(__dirname, '..');
+const BASE = 'img/travel';
+const OUT = path.join(ROOT, BASE, 'duplicates.json');
+const SIDECAR = 'album.json';
+
+const THRESHOLD = 10; // bits; scripts/test-find-duplicates.js checks it against resized and re-encoded copies
+
+function parseArgs(argv) {
+  const options = { threshold: THRESHOLD, across: false, write: false, slugs: [] };
+  for (let i = 0; i < argv.length; i++) {
+    if (!argv[i].startsWith('--')) options.slugs.push(argv[i]);
+    else if (argv[i] === '--threshold') options.threshold = Number(argv[++i]);
+    else if (argv[i] === '--across') options.across = true;
+    else if (argv[i] === '--write') options.write = true;
+    else throw new Error(`unknown option ${argv[i]}`);
+  }
+  if (!(options.threshold >= 0 && options.threshold <= 64)) throw new Error('--threshold must be 0-64');
+  return options;
+}
+
+function findImageMagick() {
+  for (const bin of ['magick', 'convert']) {
+    try {
+      execFileSync(bin, ['-version'], { stdio: 'ignore' });
+      return bin;
+    } catch (e) {
+      // try the next binary name
+    }
+  }
+  return null;
+}
+
+// Grayscale pixels of the (auto-oriented) photo squeezed to width x height, one byte each
+function grayPixels(magick, file, width, height) {
+  return execFileSync(magick, [
+    '-define', `jpeg:size=${width * 4}x${height * 4}`, // let libjpeg decode at a fraction of full size
+    `${file}[0]`,
+    '-auto-orient',
+    '-colorspace', 'Gray',
+    '-resize', `${width}x${height}!`,
+    '-depth', '8',
+    'gray:-'
+  ], { stdio: ['ignore', 'pipe', 'pipe'], maxBuffer: width * height * 2 });
+}
+
+function bitsToHex(bits) {
+  let hex = '';
+  for (let i = 0; i < bits.length; i += 4) {
+    hex += ((bits[i] << 3) | (bits[i + 1] << 2) | (bits[i + 2] << 1) | bits[i + 3]).toString(16);
+  }
+  return hex;
+}
+
+// dHash: is each pixel brighter than its right-hand neighbour (9x8 in, 64 bits out)
+function dHash(pixels) {
+  const bits = [];
+  for (let y = 0; y < 8; y++) {
+    for (let x = 0; x < 8; x++) bits.push(pixels[y * 9 + x] > pixels[y * 9 + x + 1] ? 1 : 0);
+  }
+  return bitsToHex(bits);
+}
+
+// pHash: lowest 8x8 frequencies of a 32x32 DCT compared with their median. The DC term (overall
+// brightness) is left out: its bit is always 0, so hashes differ in at most 63 bits
+const N = 32;
+const COS = Array.from({ length: 8 }, (_, u) => Array.from({ length: N }, (__, x) => Math.cos(((2 * x + 1) * u * Math.PI) / (2 * N))));
+
+function pHash(pixels) {
+  const rows = Array.from({ length: N }, (_, y) => COS.map((c) => c.reduce((sum, w, x) => sum + w * pixels[y * N + x], 0)));
+  const coeffs = [];
+  for (let v = 0; v < 8; v++) {
+    for (let u = 0; u < 8; u++) coeffs.push(COS[v].reduce((sum, w, y) => sum + w * rows[y][u], 0));
+  }
+  const ac = coeffs.slice(1);
+  const median = ac.slice().sort((a, b) => a - b)[31]; // the middle of 63
+  return bitsToHex([0, ...ac.map((c) => (c > median ? 1 : 0))]);
+}
+
+const POPCOUNT = [0, 1, 1, 2, 1, 2, 2, 3, 1, 2, 2, 3, 2, 3, 3, 4];
+
+function hamming(a, b) {
+  let d = 0;
+  for (let i = 0; i < a.length; i++) d += POPCOUNT[parseInt(a[i], 16) ^ parseInt(b[i], 16)];
+  return d;
+}
+
+function readSidecar(slug) {
+  try {
+    return JSON.parse(fs.readFileSync(path.join(ROOT, BASE, slug, SIDECAR), 'utf8'));
+  } catch (e) {
+    return {};
+  }
+}
+
+function readReport() {
+  try {
+    return JSON.parse(fs.readFileSync(OUT, 'utf8'));
+  } catch (e) {
+    return {};
+  }
+}
+
+function hashPhotos(magick, slugs) {
+  const photos = [];
+  slugs.forEach((slug) => {
+    const sidecar = readSidecar(slug);
+    const hidden = new Set(Array.isArray(sidecar.hidden) ? sidecar.hidden : []);
+    const names = fs.readdirSync(path.join(ROOT, BASE, slug))
+      .filter((n) => !n.startsWith('.') && !hidden.has(n) && ['image', 'heic'].includes(mediaType(n)))
+      .sort(naturalCompare);
+    let failed = 0;
+    names.forEach((name) => {
+      const file = path.join(ROOT, BASE, slug, name);
+      const buf = fs.readFileSync(file);
+      const dims = readDimensions(buf, name) || {};
+      try {
+        photos.push({
+          path: `${slug}/${name}`,
+          slug,
+          stem: path.parse(name).name.toLowerCase(),
+          cover: sidecar.cover === name,
+          pixels: (dims.width || 0) * (dims.height || 0),
+          width: dims.width || null,
+          height: dims.height || null,
+          bytes: buf.length,
+          sha: crypto.createHash('sha256').update(buf).digest('hex'),
+          dhash: dHash(grayPixels(magick, file, 9, 8)),
+          phash: pHash(grayPixels(magick, file, N, N))
+        });
+      } catch (e) {
+        failed++;
+        console.warn(`  ${slug}/${name}: could not decode (${String(e.stderr || e.message).trim().split('\n')[0]})`);
+      }
+    });
+    console.log(`  ${slug}: ${names.length - failed} photos hashed${failed ? `, ${failed} failed` : ''}`);
+  });
+  return photos;
+}
+
+// Links every pair of matching photos, then returns the connected groups
+function groupPhotos(photos, threshold) {
+  const parent = photos.map((_, i) => i);
+  const find = (i) => (parent[i] === i ? i : (parent[i] = find(parent[i])));
+  const distance = new Map(); // root -> largest distance seen while linking
+  for (let i = 0; i < photos.length; i++) {
+    for (let j = i + 1; j < photos.length; j++) {
+      const a = photos[i];
+      const b = photos[j];
+      if (a.slug === b.slug && a.stem === b.stem) continue; // HEIC/JPG of one shot, paired by build-albums
+      let d;
+      if (a.sha === b.sha) d = 0;
+      else {
+        d = Math.max(hamming(a.dhash, b.dhash), hamming(a.phash, b.phash));
+        if (d > threshold) continue;
+      }
+      const ra = find(i);
+      const rb = find(j);
+      const max = Math.max(d, distance.get(ra) || 0, distance.get(rb) || 0);
+      parent[rb] = ra;
+      distance.set(ra, max);
+    }
+  }
+  const groups = new Map();
+  photos.forEach((photo, i) => {
+    const root = find(i);
+    if (!groups.has(root)) groups.set(root, { distance: 0, files: [] });
+    groups.get(root).files.push(photo);
+  });
+  groups.forEach((group, root) => { group.distance = distance.get(root) || 0; });
+  return [...groups.values()].filter((g) => g.files.length > 1);
+}
+
+function rank(a, b) {
+  return (b.cover - a.cover) || (b.pixels - a.pixels) || (b.bytes - a.bytes) || naturalCompare(a.path, b.path);
+}
+
+// Best copy overall; copies in the same album are hidden, other albums keep their own best
+// copy unless --across
+function planGroup(group, options, allowed) {
+  const files = group.files.slice().sort(rank);
+  const keep = files[0];
+  const kept = new Set([keep.slug]);
+  const hide = [];
+  files.slice(1).forEach((f) => {
+    if (allowed.has(f.path)) return;
+    if (kept.has(f.slug) || options.across) hide.push(f.path);
+    else kept.add(f.slug);
+  });
+  return {
+    kind: files.every((f) => f.sha === keep.sha) ? 'exact' : 'near',
+    distance: group.distance,
+    keep: keep.path,
+    hide,
+    files
+  };
+}
+
+function describe(photo) {
+  const size = photo.width ? `${photo.width}x${photo.height}` : '?x?';
+  return `${photo.path} (${size}, ${(photo.bytes / 1024).toFixed(0)} KB${photo.cover ? ', cover' : ''})`;
+}
+
+function main() {
+  const options = parseArgs(process.argv.slice(2));
+  const magick = findImageMagick();
+  if (!magick) {
+    console.error('ImageMagick not found: install it so `magick` or `convert` is on PATH.');
+    process.exit(1);
+  }
+  const slugs = fs.readdirSync(path.join(ROOT, BASE), { withFileTypes: true })
+    .filter((d) => d.isDirectory() && !d.name.startsWith('.'))
+    .map((d) => d.name)
+    .filter((slug) => options.slugs.length === 0 || options.slugs.includes(slug))
+    .sort(naturalCompare);
+
+  const previous = readReport();
+  const allowed = new Set(Array.isArray(previous.allow) ? previous.allow : []);
+  const photos = hashPhotos(magick, slugs);
+  const plans = groupPhotos(photos, options.threshold)
+    .map((g) => planGroup(g, options, allowed))
+    .sort((a, b) => naturalCompare(a.keep, b.keep));
+
+  plans.forEach((plan) => {
+    const albums = new Set(plan.files.map((f) => f.slug));
+    console.log(`\n${plan.kind === 'exact' ? 'Exact' : `Near (${plan.distance} bits)`}${albums.size > 1 ? ', across albums' : ''}:`);
+    plan.files.forEach((f) => {
+      console.log(`  ${plan.hide.includes(f.path) ? 'hide' : 'keep'}  ${describe(f)}`);
+    });
+  });
+  const hidden = plans.flatMap((p) => p.hide).sort(naturalCompare);
+  console.log(`\n${photos.length} photos, ${plans.length} duplicate groups, ${hidden.length} copies to hide`);
+
+  if (!options.write) {
+    if (plans.length) console.log('Run again with --write to save img/travel/duplicates.json');
+    return;
+  }
+  // A run over some albums keeps what earlier runs found in the others
+  const scanned = (file) => slugs.includes(file.split('/')[0]);
+  const groups = (previous.groups || []).filter((g) => !g.files.some(scanned))
+    .concat(plans.map((p) => ({ kind: p.kind, distance: p.distance, keep: p.keep, hide: p.hide, files: p.files.map((f) => f.path) })));
+  const report = {
+    version: 1,
+    threshold: options.threshold,
+    allow: [...allowed].sort(naturalCompare),
+    hidden: groups.flatMap((g) => g.hide).sort(naturalCompare),
+    groups
+  };
+  fs.writeFileSync(OUT, JSON.stringify(report, null, 2) + '\n');
+  console.log(`Wrote ${path.relative(ROOT, OUT)}`);
+}
+
+if (require.main === module) main();
+
+module.exports = { THRESHOLD, N, dHash, pHash, hamming, grayPixels, groupPhotos, findImageMagick };
@@ -0,0 +1,178 @@
+#!/usr/bin/env node
+/*
+  Local stand-in for the GitHub REST API, for exercising the gallery's API fallback
+  - Serves the site from the repo root on http://localhost:<port>/
+  - Answers the Contents and Git Trees calls under /__github/ from img/travel on disk
+  - Sends ETags and honors If-None-Match (304s are free, as on GitHub)
+  - Counts requests against a fake X-RateLimit-* budget and returns 403 when it runs out
+  - Hides img/travel/albums.json by default so pages actually use the API
+  - HTML pages get window.TRAVEL_GALLERY_API_ROOT pointed at /__github
+
+  Usage: node scripts/mock-github-api.js [--port 8787] [--limit 60] [--reset 3600]
+           [--manifest] [--truncated] [--down] [--quiet]
+    --limit      requests allowed before the fake rate limit kicks in
+    --reset      seconds until the budget refills
+    --manifest   serve albums.json too (API is then only used for albums missing from it)
+    --truncated  report the tree as truncated, forcing per-folder Contents calls
+    --down       answer every API call with 503
+    --quiet      do not log API calls (scripts/test-github-api.js uses this)
+*/
+'use strict';
+
+const fs = require('fs');
+const path = require('path');
+const http = require('http');
+const crypto = require('crypto');
+
+const ROOT = path.resolve(__dirname, '..');
+const BASE = 'img/travel';
+const PREFIX = '/__github';
+
+const TYPES = {
+  '.html': 'text/html; charset=utf-8',
+  '.css': 'text/css',
+  '.js': 'text/javascript',
+  '.json': 'application/json',
+  '.geojson': 'application/json',
+  '.svg': 'image/svg+xml',
+  '.jpg': 'image/jpeg',
+  '.jpeg': 'image/jpeg',
+  '.png': 'image/png',
+  '.gif': 'image/gif',
+  '.webp': 'image/webp',
+  '.avif': 'image/avif',
+  '.heic': 'image/heic',
+  '.mp4': 'video/mp4',
+  '.webm': 'video/webm',
+  '.mov': 'video/quicktime',
+  '.woff2': 'font/woff2'
+};
+
+function parseArgs(argv) {
+  const options = { port: 8787, limit: 60, reset: 3600, manifest: false, truncated: false, down: false, quiet: false };
+  for (let i = 0; i < argv.length; i++) {
+    const name = argv[i].replace(/^--/, '');
+    if (typeof options[name] === 'boolean') options[name] = true;
+    else if (name in options) options[name] = Number(argv[++i]);
+    else throw new Error(`unknown option ${argv[i]}`);
+  }
+  return options;
+}
+
+function gitSha(text) {
+  return crypto.createHash('sha1').update(text).digest('hex');
+}
+
+// Entries of one folder, shaped like GET /repos/{owner}/{repo}/contents/{path}
+function contents(rel) {
+  const dir = path.join(ROOT, rel);
+  if (!dir.startsWith(ROOT) || !fs.existsSync(dir) || !fs.statSync(dir).isDirectory()) return null;
+  return fs.readdirSync(dir, { withFileTypes: true })
+    .filter((d) => !d.name.startsWith('.'))
+    .map((d) => {
+      const full = path.join(dir, d.name);
+      const size = d.isFile() ? fs.statSync(full).size : 0;
+      return {
+        name: d.name,
+        path: `${rel}/${d.name}`,
+        type: d.isDirectory() ? 'dir' : 'file',
+        size,
+        sha: gitSha(`${rel}/${d.name}:${size}`),
+        download_url: d.isFile() ? `/${rel}/${d.name}` : null
+      };
+    });
+}
+
+// Recursive listing, shaped like GET /repos/{owner}/{repo}/git/trees/{ref}?recursive=1
+function tree(rel, truncated) {
+  const nodes = [];
+  const walk = (sub) => {
+    contents(sub ? `${rel}/${sub}` : rel).forEach((entry) => {
+      const nodePath = sub ? `${sub}/${entry.name}` : entry.name;
+      nodes.push({ path: nodePath, type: entry.type === 'dir' ? 'tree' : 'blob', size: entry.size, sha: entry.sha });
+      if (entry.type === 'dir') walk(nodePath);
+    });
+  };
+  walk('');
+  return { sha: gitSha(JSON.stringify(nodes)), tree: nodes, truncated };
+}
+
+function createServer(options) {
+  let remaining = options.limit;
+  let resetAt = Math.floor(Date.now() / 1000) + options.reset;
+
+  function api(req, res, url) {
+    if (Date.now() / 1000 >= resetAt) {
+      remaining = options.limit;
+      resetAt = Math.floor(Date.now() / 1000) + options.reset;
+    }
+    const send = (status, body, headers = {}) => {
+      res.writeHead(status, {
+        'Content-Type': 'application/json',
+        'Access-Control-Allow-Origin': '*',
+        'X-RateLimit-Limit': String(options.limit),
+        'X-RateLimit-Remaining': String(remaining),
+        'X-RateLimit-Reset': String(resetAt),
+        ...headers
+      });
+      res.end(body === null ? undefined : JSON.stringify(body));
+      if (!options.quiet) console.log(`  ${status} ${url.pathname}${url.search} (${remaining}/${options.limit} left)`);
+    };
+
+    if (options.down) return send(503, { message: 'Service unavailable' });
+    const route = url.pathname.slice(PREFIX.length);
+    let data = null;
+    let m;
+    if ((m = /^\/repos\/[^/]+\/[^/]+\/contents\/(.+)$/.exec(route))) {
+      data = contents(decodeURIComponent(m[1]));
+    } else if ((m = /^\/repos\/[^/]+\/[^/]+\/git\/trees\/(.+)$/.exec(route))) {
+      const ref = decodeURIComponent(m[1]);
+      const rel = ref.includes(':') ? ref.slice(ref.indexOf(':') + 1) : '';
+      if (contents(rel)) data = tree(rel, options.truncated);
+    }
+    if (!data) return send(404, { message: 'Not Found' });
+
+    const etag = `"${gitSha(JSON.stringify(data))}"`;
+    if (req.headers['if-none-match'] === etag) return send(304, null, { ETag: etag });
+    if (remaining <= 0) {
+      return send(403, { message: 'API rate limit exceeded (mock)' });
+    }
+    remaining--;
+    return send(200, data, { ETag: etag });
+  }
+
+  function site(req, res, url) {
+    const rel = decodeURIComponent(url.pathname).replace(/\/$/, '/index.html');
+    const file = path.join(ROOT, rel);
+    const hidden = !options.manifest && rel === `/${BASE}/albums.json`;
+    if (hidden || !file.startsWith(ROOT) || !fs.existsSync(file) || !fs.statSync(file).isFile()) {
+      res.writeHead(404, { 'Content-Type': 'text/plain' });
+      return res.end('Not found');
+    }
+    const ext = path.extname(file).toLowerCase();
+    let body = fs.readFileSync(file);
+    if (ext === '.html') {
+      body = body.toString().replace('<head>', `<head>\n  <script>window.TRAVEL_GALLERY_API_ROOT = '${PREFIX}';</script>`);
+    }
+    res.writeHead(200, { 'Content-Type': TYPES[ext] || 'application/octet-stream', 'Cache-Control': 'no-store' });
+    return res.end(body);
+  }
+
+  return http.createServer((req, res) => {
+    const url = new URL(req.url, 'http://localhost');
+    if (url.pathname.startsWith(`${PREFIX}/`)) return api(req, res, url);
+    return site(req, res, url);
+  });
+}
+
+function main() {
+  const options = parseArgs(process.argv.slice(2));
+  createServer(options).listen(options.port, () => {
+    console.log(`Site on http://localhost:${options.port}/ with the mock API at ${PREFIX}/`);
+    console.log(`Rate limit ${options.limit} requests per ${options.reset}s${options.manifest ? '' : '; albums.json hidden'}`);
+  });
+}
+
+if (require.main === module) main();
+
+module.exports = { createServer };
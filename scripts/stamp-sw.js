@@ -0,0 +1,44 @@
+#!/usr/bin/env node
+/*
+  Stamp the service worker cache version
+  - Hashes every file in the SHELL list of sw.js
+  - Rewrites `const VERSION = '...'` so browsers install the new shell after a deploy
+    (this replaces ?v= query strings on stylesheets and scripts)
+
+  Usage: node scripts/stamp-sw.js
+*/
+'use strict';
+
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+
+const ROOT = path.resolve(__dirname, '..');
+const SW = path.join(ROOT, 'sw.js');
+
+function shellFiles(source) {
+  const list = /const SHELL = \[([\s\S]*?)\];/.exec(source);
+  if (!list) throw new Error('sw.js: SHELL list not found');
+  return [...list[1].matchAll(/'([^']+)'/g)]
+    .map((m) => (m[1].endsWith('/') ? `${m[1]}index.html` : m[1]))
+    .filter((url, i, all) => all.indexOf(url) === i);
+}
+
+function main() {
+  const source = fs.readFileSync(SW, 'utf8');
+  const hash = crypto.createHash('sha256');
+  shellFiles(source).forEach((url) => {
+    hash.update(url);
+    hash.update(fs.readFileSync(path.join(ROOT, url)));
+  });
+  const version = hash.digest('hex').slice(0, 12);
+  const stamped = source.replace(/const VERSION = '[^']*';/, `const VERSION = '${version}';`);
+  if (stamped === source) {
+    console.log(`sw.js already at ${version}`);
+    return;
+  }
+  fs.writeFileSync(SW, stamped);
+  console.log(`Stamped sw.js with ${version}`);
+}
+
+if (require.main === module) main();
@@ -0,0 +1,187 @@
+#!/usr/bin/env node
+/*
+  Checks that scripts/find-duplicates.js groups copies of a photo but not different photos
+  - Synthetic grayscale "photos" (smooth shapes and fine grain) are squeezed to the hash sizes
+    the way ImageMagick's -resize does (area average), so this runs without ImageMagick
+  - A resized copy, a re-encoded copy (quantized, with noise) and a brightened copy (gamma) must stay
+    within the default --threshold of the original; other photos must not
+  - With ImageMagick on PATH, also hashes a real album photo against a half-size JPEG re-export
+    of it and against a photo from another album
+  - Exits non-zero if any check fails
+
+  Usage: node scripts/test-find-duplicates.js
+*/
+'use strict';
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const assert = require('assert');
+const { execFileSync } = require('child_process');
+const { THRESHOLD, N, dHash, pHash, hamming, grayPixels, groupPhotos, findImageMagick } = require('./find-duplicates');
+
+const ROOT = path.resolve(__dirname, '..');
+const WIDTH = 320;
+const HEIGHT = 240;
+
+// Deterministic pseudo-random numbers (mulberry32), so failures reproduce
+function random(seed) {
+  let a = seed >>> 0;
+  return () => {
+    a = (a + 0x6d2b79f5) >>> 0;
+    let t = a;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+}
+
+// A scene of soft light and dark blobs over a gradient, with a little grain
+function scene(seed) {
+  const rand = random(seed);
+  const blobs = Array.from({ length: 12 }, () => ({
+    x: rand() * WIDTH, y: rand() * HEIGHT, r: 20 + rand() * 80, level: rand() * 200 - 100
+  }));
+  const tilt = rand() * 2 - 1;
+  const pixels = new Float64Array(WIDTH * HEIGHT);
+  for (let y = 0; y < HEIGHT; y++) {
+    for (let x = 0; x < WIDTH; x++) {
+      let v = 128 + tilt * (x - WIDTH / 2) * 0.3;
+      blobs.forEach((b) => { v += b.level * Math.exp(-((x - b.x) ** 2 + (y - b.y) ** 2) / (2 * b.r * b.r)); });
+      pixels[y * WIDTH + x] = v + (rand() - 0.5) * 8;
+    }
+  }
+  return { width: WIDTH, height: HEIGHT, pixels: clamp(pixels) };
+}
+
+function clamp(pixels) {
+  return Float64Array.from(pixels, (v) => Math.min(255, Math.max(0, v)));
+}
+
+// Area-average resize to exactly width x height
+function squeeze(image, width, height) {
+  const out = new Float64Array(width * height);
+  const sx = image.width / width;
+  const sy = image.height / height;
+  for (let y = 0; y < height; y++) {
+    for (let x = 0; x < width; x++) {
+      let sum = 0;
+      let weight = 0;
+      for (let yy = Math.floor(y * sy); yy < Math.ceil((y + 1) * sy); yy++) {
+        const wy = Math.min(yy + 1, (y + 1) * sy) - Math.max(yy, y * sy);
+        for (let xx = Math.floor(x * sx); xx < Math.ceil((x + 1) * sx); xx++) {
+          const wx = Math.min(xx + 1, (x + 1) * sx) - Math.max(xx, x * sx);
+          sum += image.pixels[yy * image.width + xx] * wx * wy;
+          weight += wx * wy;
+        }
+      }
+      out[y * width + x] = sum / weight;
+    }
+  }
+  return { width, height, pixels: out };
+}
+
+// Rounds to 8-bit levels the way -depth 8 does
+function bytes(image) {
+  return Uint8Array.from(image.pixels, (v) => Math.round(v));
+}
+
+function hashes(image, name) {
+  return {
+    path: `test/${name}`,
+    slug: 'test',
+    stem: name,
+    sha: name,
+    dhash: dHash(bytes(squeeze(image, 9, 8))),
+    phash: pHash(bytes(squeeze(image, N, N)))
+  };
+}
+
+function distance(a, b) {
+  return Math.max(hamming(a.dhash, b.dhash), hamming(a.phash, b.phash));
+}
+
+// Copies of one scene: what re-exports, resizing and light edits do to a photo
+function copies(image, seed) {
+  const rand = random(seed);
+  return {
+    resized: squeeze(image, image.width / 2, image.height / 2),
+    reencoded: { ...image, pixels: clamp(image.pixels.map((v) => Math.round(v / 6) * 6 + (rand() - 0.5) * 6)) },
+    brightened: { ...image, pixels: image.pixels.map((v) => 255 * (v / 255) ** 0.85) }
+  };
+}
+
+const tests = [
+  ['pHash leaves out the DC term', () => {
+    const image = scene(1);
+    const flat = bytes(squeeze(image, N, N));
+    const lighter = flat.map((v) => Math.min(255, v + 10));
+    assert.strictEqual(parseInt(pHash(flat)[0], 16) & 8, 0, 'the first bit is always 0');
+    assert.strictEqual(pHash(lighter), pHash(flat), 'a uniform brightness change leaves the hash alone');
+  }],
+
+  ['a resized, re-encoded or brightened copy is within the threshold', () => {
+    for (let seed = 1; seed <= 20; seed++) {
+      const original = hashes(scene(seed), 'original');
+      Object.entries(copies(scene(seed), seed)).forEach(([kind, image]) => {
+        const d = distance(original, hashes(image, kind));
+        assert.ok(d <= THRESHOLD, `scene ${seed}: ${kind} copy is ${d} bits away`);
+      });
+    }
+  }],
+
+  ['different photos are not', () => {
+    const photos = Array.from({ length: 20 }, (_, i) => hashes(scene(i + 1), `scene-${i + 1}`));
+    for (let i = 0; i < photos.length; i++) {
+      for (let j = i + 1; j < photos.length; j++) {
+        const d = distance(photos[i], photos[j]);
+        assert.ok(d > THRESHOLD, `scenes ${i + 1} and ${j + 1} are only ${d} bits apart`);
+      }
+    }
+  }],
+
+  ['groups each photo with its copies only', () => {
+    const photos = [];
+    [3, 4, 5].forEach((seed) => {
+      photos.push(hashes(scene(seed), `${seed}`));
+      Object.entries(copies(scene(seed), seed)).forEach(([kind, image]) => photos.push(hashes(image, `${seed}-${kind}`)));
+    });
+    const groups = groupPhotos(photos, THRESHOLD).map((g) => g.files.map((f) => f.stem).sort());
+    assert.deepStrictEqual(groups.sort(), [3, 4, 5].map((seed) => [`${seed}`, `${seed}-brightened`, `${seed}-reencoded`, `${seed}-resized`]));
+  }],
+
+  ['with ImageMagick: a re-exported album photo matches, another photo does not', () => {
+    const magick = findImageMagick();
+    if (!magick) return 'skipped, ImageMagick not found';
+    const photo = path.join(ROOT, 'img/travel/rara-nepal/IMG_6861.jpg');
+    const other = path.join(ROOT, 'img/travel/Boston/output-5.jpg');
+    const copy = path.join(os.tmpdir(), `find-duplicates-test-${process.pid}.jpg`);
+    try {
+      execFileSync(magick, [photo, '-resize', '50%', '-quality', '70', copy], { stdio: 'ignore' });
+      const hash = (file) => ({ dhash: dHash(grayPixels(magick, file, 9, 8)), phash: pHash(grayPixels(magick, file, N, N)) });
+      const original = hash(photo);
+      assert.ok(distance(original, hash(copy)) <= THRESHOLD, 'the re-export is a near duplicate');
+      assert.ok(distance(original, hash(other)) > THRESHOLD, 'another photo is not');
+    } finally {
+      fs.rmSync(copy, { force: true });
+    }
+    return '';
+  }]
+];
+
+function main() {
+  let failed = 0;
+  tests.forEach(([name, run]) => {
+    try {
+      const note = run();
+      console.log(`ok - ${name}${note ? ` (${note})` : ''}`);
+    } catch (err) {
+      failed++;
+      console.log(`not ok - ${name}\n  ${String(err.stack || err).split('\n').join('\n  ')}`);
+    }
+  });
+  console.log(failed ? `${failed} of ${tests.length} failed` : `all ${tests.length} passed`);
+  process.exit(failed ? 1 : 0);
+}
+
+if (require.main === module) main();
@@ -0,0 +1,205 @@
+#!/usr/bin/env node
+/*
+  Tests the gallery's GitHub API client (js/travel-gallery.js) against scripts/mock-github-api.js
+  - Each "page view" runs the real script in a fresh vm context; localStorage persists between views
+  - Covers the 10-minute localStorage cache, ETag/If-None-Match 304 reuse, the rate-limit 403
+    (stale data plus the notice), truncated trees (per-folder Contents calls) and an API outage
+  - Needs no browser or packages; exits non-zero if any test fails
+
+  Usage: node scripts/test-github-api.js
+*/
+'use strict';
+
+const fs = require('fs');
+const vm = require('vm');
+const path = require('path');
+const assert = require('assert');
+const { createServer } = require('./mock-github-api');
+
+const ROOT = path.resolve(__dirname, '..');
+const SCRIPT = fs.readFileSync(path.join(ROOT, 'js/travel-gallery.js'), 'utf8');
+const CACHE_PREFIX = 'travel-gallery:api:';
+const BLOCKED_KEY = 'travel-gallery:api-blocked-until';
+const TTL = 10 * 60 * 1000;
+
+function createStorage() {
+  const items = new Map();
+  return {
+    items,
+    getItem: (key) => (items.has(key) ? items.get(key) : null),
+    setItem: (key, value) => items.set(key, String(value)),
+    removeItem: (key) => items.delete(key)
+  };
+}
+
+// Mock server on a free port; `calls` records each API request with its status
+async function startMock(options) {
+  const server = createServer({ limit: 60, reset: 3600, manifest: false, truncated: false, down: false, quiet: true, ...options });
+  const calls = [];
+  server.on('request', (req, res) => {
+    if (!req.url.startsWith('/__github/')) return;
+    res.on('finish', () => calls.push({ url: req.url, etag: req.headers['if-none-match'] || '', status: res.statusCode }));
+  });
+  await new Promise((resolve) => server.listen(0, '127.0.0.1', resolve));
+  const origin = `http://127.0.0.1:${server.address().port}`;
+  const close = () => new Promise((resolve) => {
+    server.close(resolve);
+    server.closeAllConnections(); // fetch keeps connections alive
+  });
+  return { origin, calls, close };
+}
+
+// One page load: the script in a new context, listing albums the way the travel hub does
+async function pageView(mock, storage) {
+  const noop = () => {};
+  const window = {
+    TRAVEL_GALLERY_API_ROOT: `${mock.origin}/__github`,
+    TRAVEL_GALLERY_TEST: true,
+    localStorage: storage,
+    location: { pathname: '/travel.html', search: '', hash: '' },
+    addEventListener: noop,
+    removeEventListener: noop,
+    document: { querySelector: () => null, addEventListener: noop, removeEventListener: noop },
+    fetch: (url, init) => fetch(new URL(url, mock.origin), init),
+    console: { ...console, error: noop, warn: noop, log: noop },
+    URL,
+    Date,
+    setTimeout,
+    clearTimeout
+  };
+  window.window = window;
+  vm.runInNewContext(SCRIPT, window, { filename: 'travel-gallery.js' });
+  const from = mock.calls.length;
+  const { listAlbums, apiNoticeHtml } = window.TravelGallery.testing;
+  const albums = Array.from(await listAlbums()); // an array of this realm, for deepStrictEqual
+  return { albums, notice: apiNoticeHtml(), calls: mock.calls.slice(from) };
+}
+
+function albumFolders() {
+  return fs.readdirSync(path.join(ROOT, 'img/travel'), { withFileTypes: true })
+    .filter((d) => d.isDirectory() && !d.name.startsWith('.'))
+    .map((d) => d.name)
+    .sort();
+}
+
+// The API root includes the mock's port: carry cached listings over to another mock
+function moveCache(storage, from, to) {
+  [...storage.items].forEach(([key, value]) => {
+    if (!key.startsWith(CACHE_PREFIX)) return;
+    storage.items.delete(key);
+    storage.items.set(key.replace(from.origin, to.origin), value);
+  });
+}
+
+// Pretend every cached listing was saved `ms` ago, optionally forgetting its ETag
+function ageCache(storage, ms, { dropEtag = false } = {}) {
+  storage.items.forEach((value, key) => {
+    if (!key.startsWith(CACHE_PREFIX)) return;
+    const entry = JSON.parse(value);
+    entry.time -= ms;
+    if (dropEtag) delete entry.etag;
+    storage.items.set(key, JSON.stringify(entry));
+  });
+}
+
+const slugsOf = (albums) => Array.from(albums, (a) => a.slug).sort();
+const statuses = (calls) => calls.map((c) => c.status);
+
+const tests = [
+  ['lists albums with one Git Trees call and caches it for 10 minutes', async () => {
+    const mock = await startMock({});
+    const storage = createStorage();
+    const first = await pageView(mock, storage);
+    assert.deepStrictEqual(slugsOf(first.albums), albumFolders());
+    assert.deepStrictEqual(first.calls.map((c) => c.url.includes('/git/trees/')), [true]);
+    assert.strictEqual(first.notice, '');
+    const second = await pageView(mock, storage);
+    assert.deepStrictEqual(second.calls, [], 'a fresh cache entry needs no request');
+    assert.deepStrictEqual(slugsOf(second.albums), slugsOf(first.albums));
+    await mock.close();
+  }],
+
+  ['revalidates an expired listing with If-None-Match and reuses it on 304', async () => {
+    const mock = await startMock({ limit: 2 }); // with none left the client would not ask at all
+    const storage = createStorage();
+    const first = await pageView(mock, storage);
+    ageCache(storage, TTL + 1000);
+    const second = await pageView(mock, storage);
+    assert.deepStrictEqual(statuses(second.calls), [304]);
+    assert.ok(second.calls[0].etag, 'the cached ETag is sent');
+    assert.deepStrictEqual(slugsOf(second.albums), slugsOf(first.albums));
+    assert.strictEqual(second.notice, '', '304s do not count as stale');
+    const entry = JSON.parse(storage.getItem([...storage.items.keys()].find((k) => k.startsWith(CACHE_PREFIX))));
+    assert.ok(Date.now() - entry.time < TTL, 'a 304 refreshes the cache time');
+    await mock.close();
+  }],
+
+  ['falls back to stale listings with a notice when rate limited', async () => {
+    const up = await startMock({});
+    const storage = createStorage();
+    const first = await pageView(up, storage);
+    await up.close();
+    const mock = await startMock({ limit: 0 });
+    moveCache(storage, up, mock);
+    ageCache(storage, TTL + 1000, { dropEtag: true }); // no ETag, so the request counts
+    const limited = await pageView(mock, storage);
+    assert.deepStrictEqual(statuses(limited.calls), [403]);
+    assert.deepStrictEqual(slugsOf(limited.albums), slugsOf(first.albums));
+    assert.match(limited.notice, /Showing album listings saved at/);
+    assert.match(limited.notice, /rate limit resets at/);
+    assert.ok(Number(storage.getItem(BLOCKED_KEY)) > Date.now(), 'the reset time is remembered');
+    const blocked = await pageView(mock, storage);
+    assert.deepStrictEqual(blocked.calls, [], 'no requests until the limit resets');
+    assert.deepStrictEqual(slugsOf(blocked.albums), slugsOf(first.albums));
+    await mock.close();
+  }],
+
+  ['lists folder by folder when the tree is truncated', async () => {
+    const mock = await startMock({ truncated: true });
+    const view = await pageView(mock, createStorage());
+    assert.deepStrictEqual(slugsOf(view.albums), albumFolders());
+    const contents = view.calls.filter((c) => c.url.includes('/contents/'));
+    assert.strictEqual(view.calls.filter((c) => c.url.includes('/git/trees/')).length, 1);
+    assert.strictEqual(contents.length, albumFolders().length + 1, 'the base folder, then each album');
+    assert.ok(view.albums.every((a) => a.files.length > 0));
+    await mock.close();
+  }],
+
+  ['reports an outage, and shows cached listings during one', async () => {
+    const mock = await startMock({ down: true });
+    const empty = await pageView(mock, createStorage());
+    assert.deepStrictEqual(empty.albums, []);
+    assert.ok(empty.calls.length > 0 && empty.calls.every((c) => c.status === 503));
+    assert.match(empty.notice, /could not be loaded because GitHub is not answering/);
+    await mock.close();
+
+    const up = await startMock({});
+    const storage = createStorage();
+    const first = await pageView(up, storage);
+    await up.close();
+    const down = await startMock({ down: true });
+    moveCache(storage, up, down);
+    ageCache(storage, TTL + 1000);
+    const stale = await pageView(down, storage);
+    assert.deepStrictEqual(slugsOf(stale.albums), slugsOf(first.albums));
+    assert.match(stale.notice, /Showing album listings saved at/);
+    await down.close();
+  }]
+];
+
+async function main() {
+  let failed = 0;
+  for (const [name, run] of tests) {
+    try {
+      await run();
+      console.log(`ok - ${name}`);
+    } catch (err) {
+      failed++;
+      console.log(`not ok - ${name}\n  ${String(err.stack || err).split('\n').join('\n  ')}`);
+    }
+  }
+  console.log(failed ? `${failed} of ${tests.length} failed` : `all ${tests.length} passed`);
+  process.exit(failed ? 1 : 0);
+}
+
+if (require.main === module) main();
@@ -0,0 +1,120 @@
+/*
+  Minimal MP4/MOV reader for the album build scripts
+  - Duration from `mvhd`, quarter-turn rotation from the video track's `tkhd` matrix
+  - Capture time: Apple's com.apple.quicktime.creationdate (local time with offset),
+    else the ©day tag, else the `mvhd` creation time (UTC)
+  - Video codec from the first visual sample entry in `stsd` (avc1, hvc1, ...)
+*/
+'use strict';
+
+// Boxes whose children are walked; `meta` and `stsd` also have a header of their own
+const CONTAINERS = new Set(['moov', 'trak', 'mdia', 'minf', 'stbl', 'udta', 'meta', 'ilst', 'stsd']);
+const VIDEO_CODECS = new Set(['avc1', 'avc3', 'hvc1', 'hev1', 'vp08', 'vp09', 'av01', 'mp4v']);
+const MAC_EPOCH = Date.UTC(1904, 0, 1); // QuickTime times count seconds from 1904
+
+function boxes(buf, start, end, visit) {
+  let i = start;
+  while (i + 8 <= end) {
+    let size = buf.readUInt32BE(i);
+    const type = buf.toString('latin1', i + 4, i + 8);
+    let header = 8;
+    if (size === 1 && i + 16 <= end) { size = Number(buf.readBigUInt64BE(i + 8)); header = 16; }
+    if (size === 0) size = end - i;
+    if (size < header) return;
+    const boxEnd = Math.min(i + size, end);
+    let body = i + header;
+    if (visit(type, body, boxEnd) !== false && CONTAINERS.has(type)) {
+      // MP4 `meta` is a full box (version/flags), QuickTime `meta` is not: look for its first child
+      if (type === 'meta' && buf.toString('latin1', body + 4, body + 8) !== 'hdlr') body += 4;
+      if (type === 'stsd') body += 8; // version/flags and entry count
+      boxes(buf, body, boxEnd, visit);
+    }
+    i += size;
+  }
+}
+
+// "2023-11-04T14:22:10-0400" -> "2023-11-04T14:22:10-04:00", the format scripts/exif.js uses
+function toIsoDate(value) {
+  const m = /^(\d{4})-(\d{2})-(\d{2})T(\d{2}):(\d{2}):(\d{2})(?:\.\d+)?(Z|[+-]\d{2}:?\d{2})?/.exec(value || '');
+  if (!m || m[1] === '0000') return null;
+  const iso = `${m[1]}-${m[2]}-${m[3]}T${m[4]}:${m[5]}:${m[6]}`;
+  if (!m[7]) return iso;
+  return iso + (m[7] === 'Z' ? 'Z' : `${m[7].slice(0, 3)}:${m[7].slice(-2)}`);
+}
+
+function parseVideo(buf) {
+  const meta = {};
+  let created = 0;
+  let keys = [];
+  const tagged = {};
+  boxes(buf, 0, buf.length, (type, body, end) => {
+    if (type === 'mdat') return false;
+    if (type === 'mvhd' && body + 32 <= end) {
+      const v1 = buf[body] === 1;
+      const seconds = v1 ? Number(buf.readBigUInt64BE(body + 4)) : buf.readUInt32BE(body + 4);
+      const timescale = buf.readUInt32BE(body + (v1 ? 20 : 12));
+      const duration = v1 ? Number(buf.readBigUInt64BE(body + 24)) : buf.readUInt32BE(body + 16);
+      if (timescale && duration && duration !== 0xffffffff) meta.duration = Math.round((duration / timescale) * 10) / 10;
+      if (seconds) created = seconds;
+    }
+    if (type === 'tkhd' && meta.rotated === undefined) {
+      // The first track with a size is the video; a 90/270 degree matrix has b = +-1.0 (16.16)
+      const matrix = body + (buf[body] === 1 ? 52 : 40);
+      if (matrix + 44 <= end && buf.readUInt32BE(matrix + 36) && buf.readUInt32BE(matrix + 40)) {
+        meta.rotated = Math.abs(buf.readInt32BE(matrix + 4)) === 0x10000;
+      }
+    }
+    if (type === 'keys') {
+      // Full box: entries are [size][namespace][name]
+      keys = [];
+      let i = body + 8;
+      while (i + 8 <= end) {
+        const size = buf.readUInt32BE(i);
+        if (size < 8) break;
+        keys.push(buf.toString('utf8', i + 8, i + size));
+        i += size;
+      }
+    }
+    if (type === 'data') return false;
+    if (type === '\xa9day' && buf.toString('latin1', body + 4, body + 8) !== 'data') {
+      // QuickTime user data string: 16-bit length, 16-bit language, text
+      tagged['\xa9day'] = buf.toString('utf8', body + 4, body + 4 + buf.readUInt16BE(body));
+      return false;
+    }
+    if (VIDEO_CODECS.has(type) && !meta.codec) meta.codec = type;
+    return true;
+  });
+
+  // ilst items are keyed by 1-based index into `keys` (QuickTime) or by their own type (iTunes style)
+  boxes(buf, 0, buf.length, (type, body, end) => {
+    if (type === 'mdat') return false;
+    if (type !== 'ilst') return true;
+    boxes(buf, body, end, (item, itemBody, itemEnd) => {
+      const index = buf.readUInt32BE(itemBody - 4);
+      const name = item === '\xa9day' ? item : keys[index - 1];
+      if (!name) return false;
+      boxes(buf, itemBody, itemEnd, (child, dataBody, dataEnd) => {
+        if (child === 'data') tagged[name] = buf.toString('utf8', dataBody + 8, dataEnd);
+        return false;
+      });
+      return false;
+    });
+    return false;
+  });
+
+  meta.taken = toIsoDate(tagged['com.apple.quicktime.creationdate'])
+    || toIsoDate(tagged['\xa9day'])
+    || (created ? new Date(MAC_EPOCH + created * 1000).toISOString().slice(0, 19) + 'Z' : null);
+  if (!meta.rotated) delete meta.rotated;
+  return meta;
+}
+
+function readVideoMeta(buf) {
+  try {
+    return parseVideo(buf);
+  } catch (e) {
+    return null;
+  }
+}
+
+module.exports = { readVideoMeta };
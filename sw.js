@@ -0,0 +1,184 @@
+/*
+  Service worker: offline browsing for the site and its travel albums
+  - Precaches the page shell (HTML, CSS, scripts, fonts) under a versioned cache
+  - Pages: network first, cached copy when offline (album.html?album=<slug> uses the template)
+  - Album listings and gallery media: stale-while-revalidate, oldest media evicted past a limit
+  - Albums saved with "Save for offline" (js/travel-gallery.js) live in their own caches
+    and are never evicted here
+
+  VERSION is stamped by scripts/stamp-sw.js from the precached files, so a deploy that
+  changes any of them installs a fresh shell and deletes the old one.
+*/
+const VERSION = '489752979ef8';
+const SHELL_CACHE = `shell-${VERSION}`;
+const DATA_CACHE = 'data-v1'; // visited pages, album listings, map outlines, publications, HEIC decoder
+const MEDIA_CACHE = 'media-v1';
+const SAVED_PREFIX = 'album-'; // album-<slug>, written by the page
+const MAX_MEDIA_ENTRIES = 250;
+
+const SHELL = [
+  '/',
+  '/index.html',
+  '/research.html',
+  '/contact.html',
+  '/travel.html',
+  '/travel/album.html',
+  '/css/bootstrap.min.css',
+  '/css/templatemo-style.css',
+  '/css/styles.css',
+  '/fontawesome/css/all.min.css',
+  '/fontawesome/webfonts/fa-brands-400.woff2',
+  '/fontawesome/webfonts/fa-regular-400.woff2',
+  '/fontawesome/webfonts/fa-solid-900.woff2',
+  '/js/album-zip.js',
+  '/js/media-decoder.js',
+  '/js/plugins.js',
+  '/js/publications.js',
+  '/js/sw-register.js',
+  '/js/travel-gallery.js',
+  '/js/travel-gallery.mjs'
+];
+
+self.addEventListener('install', (event) => {
+  event.waitUntil(
+    caches.open(SHELL_CACHE)
+      .then((cache) => cache.addAll(SHELL.map((url) => new Request(url, { cache: 'reload' }))))
+      .then(() => self.skipWaiting())
+  );
+});
+
+self.addEventListener('activate', (event) => {
+  // Old shells go; data, media and saved albums survive a deploy
+  event.waitUntil(
+    caches.keys()
+      .then((keys) => Promise.all(keys
+        .filter((key) => key.startsWith('shell-') && key !== SHELL_CACHE)
+        .map((key) => caches.delete(key))))
+      .then(() => self.clients.claim())
+  );
+});
+
+async function trimCache(name, max) {
+  const cache = await caches.open(name);
+  const keys = await cache.keys();
+  // keys() lists in insertion order: drop the oldest
+  await Promise.all(keys.slice(0, Math.max(0, keys.length - max)).map((key) => cache.delete(key)));
+}
+
+async function networkFirst(event) {
+  const { request } = event;
+  try {
+    const response = await fetch(request);
+    if (response.ok) {
+      const copy = response.clone();
+      event.waitUntil(caches.open(DATA_CACHE).then((cache) => cache.put(request, copy)));
+    }
+    return response;
+  } catch (err) {
+    // ignoreSearch lets album.html?album=<slug> use the precached template
+    const cached = await caches.match(request) || await caches.match(request, { ignoreSearch: true });
+    if (cached) return cached;
+    throw err;
+  }
+}
+
+async function cacheFirst(request) {
+  const cached = await caches.match(request, { ignoreSearch: true });
+  return cached || fetch(request);
+}
+
+// Any cached size/format of the same photo beats a broken image offline
+async function anyVariant(request) {
+  const url = new URL(request.url);
+  const stem = url.pathname.replace(/\.\d+\.(webp|avif)$/, '.');
+  const names = await caches.keys();
+  for (const name of names) {
+    const keys = await (await caches.open(name)).keys();
+    const match = keys.find((key) => new URL(key.url).pathname.startsWith(stem));
+    if (match) return caches.match(match);
+  }
+  return null;
+}
+
+// Video seeking sends Range requests: answer them from a saved copy, else from the network
+async function rangeFromCache(request) {
+  const cached = await caches.match(request.url);
+  const range = /^bytes=(\d*)-(\d*)$/.exec(request.headers.get('range'));
+  if (!cached || !range) return fetch(request);
+  const blob = await cached.blob();
+  const start = range[1] ? Number(range[1]) : Math.max(0, blob.size - Number(range[2]));
+  const end = range[1] && range[2] ? Math.min(Number(range[2]), blob.size - 1) : blob.size - 1;
+  return new Response(blob.slice(start, end + 1), {
+    status: 206,
+    headers: {
+      'Content-Type': cached.headers.get('Content-Type') || blob.type,
+      'Content-Range': `bytes ${start}-${end}/${blob.size}`,
+      'Content-Length': String(end - start + 1)
+    }
+  });
+}
+
+// Saved albums are snapshots: served as is, never revalidated into a second copy
+async function matchSaved(request) {
+  const names = (await caches.keys()).filter((name) => name.startsWith(SAVED_PREFIX));
+  for (const name of names) {
+    const hit = await (await caches.open(name)).match(request);
+    if (hit) return hit;
+  }
+  return null;
+}
+
+async function staleWhileRevalidate(event, cacheName) {
+  const { request } = event;
+  if (cacheName === MEDIA_CACHE) {
+    const saved = await matchSaved(request);
+    if (saved) return saved;
+  }
+  const cached = await (await caches.open(cacheName)).match(request);
+  const refresh = fetch(request)
+    .then(async (response) => {
+      // Range requests (video seeking) and opaque errors are not cached
+      if (response.ok && response.status === 200) {
+        const cache = await caches.open(cacheName);
+        await cache.put(request, response.clone());
+        if (cacheName === MEDIA_CACHE) await trimCache(MEDIA_CACHE, MAX_MEDIA_ENTRIES);
+      }
+      return response;
+    });
+  if (cached) {
+    event.waitUntil(refresh.catch(() => {}));
+    return cached;
+  }
+  try {
+    return await refresh;
+  } catch (err) {
+    // Offline: a saved album's copy, else another variant of the same photo
+    const fallback = await caches.match(request) || (/\/variants\//.test(request.url) ? await anyVariant(request) : null);
+    if (fallback) return fallback;
+    throw err;
+  }
+}
+
+self.addEventListener('fetch', (event) => {
+  const { request } = event;
+  if (request.method !== 'GET') return;
+  const url = new URL(request.url);
+  if (url.origin !== self.location.origin) return; // GitHub API calls keep their own localStorage cache
+
+  if (request.mode === 'navigate') {
+    event.respondWith(networkFirst(event));
+  } else if (url.pathname.startsWith('/img/travel/') && url.pathname.endsWith('.json')) {
+    event.respondWith(staleWhileRevalidate(event, DATA_CACHE)); // albums.json and album.json sidecars
+  } else if (url.pathname.startsWith('/img/travel/')) {
+    if (request.headers.has('range')) {
+      event.respondWith(rangeFromCache(request));
+      return;
+    }
+    event.respondWith(staleWhileRevalidate(event, MEDIA_CACHE));
+  } else if (url.pathname.startsWith('/data/') || url.pathname.startsWith('/js/vendor/')) {
+    event.respondWith(staleWhileRevalidate(event, DATA_CACHE));
+  } else if (SHELL.includes(url.pathname)) {
+    event.respondWith(cacheFirst(request));
+  }
+});
+